@@ -1,189 +1,112 @@
 /**
  * KC Events — Discord OAuth Auth Bridge
  *
+ * The single entrypoint for every Discord OAuth flow. Each bridge-issued
+ * linkStates/{state} document carries a `mode`, and /callback dispatches on it:
+ *
+ *   mode 'link'  — attach Discord to an existing, signed-in KC account
+ *   mode 'login' — "sign in with Discord": find the KC user by discordId (or create
+ *                  one), save the link the same way and redirect with a Firebase
+ *                  custom token
+ *
  * Supports two linking flows:
  *
- *   A) Legacy bot flow:  state = Discord user ID (17-20 digits)
- *      The Discord bot initiates the OAuth flow and passes the user's Discord ID as state.
- *      /start    → validates state matches /^\d{17,20}$/, redirects to Discord OAuth
- *      /callback → redirects to link.html?state=<discordId>&ok=1
- *                  (link.html / the bot handles the actual Firebase writes for this flow)
+ *   A) Legacy bot flow:  state = signed token <discordId>.<expiresAtMs>.<hmac>
+ *      (lib/legacy-state.cjs). The callback checks users/@me matches the token's
+ *      Discord ID and hands the browser a single-use link ticket; link.html signs
+ *      the user in and redeems it at /api/link-tickets/redeem.
+ *
+ *   B) Web UI flow (kcnow.html):  state = linkStates document ID, created by
+ *      POST /api/link-states for the signed-in user. The callback saves the link
+ *      on both sides (Firestore users/{uid}, RTDB users/{uid}/discordId and
+ *      discordLinks/{discordId}) and redirects to the state's returnTo or
+ *      PUBLIC_WEB_SUCCESS_URL. A link held by someone else is never overwritten:
+ *      the user is asked to confirm moving it on /oauth/discord/conflict.
+ *
+ *   Both flows are bound to the browser that called /start (lib/oauth-session.cjs).
+ *   Unlinking goes through POST /oauth/discord/unlink (site) or
+ *   /oauth/discord/unlink/bot (bot).
  *
- *   B) Web UI flow (kcnow.html):  state = Firestore linkStates document ID (random alphanumeric)
- *      kcnow.html creates a linkStates/{state} doc with the user's KC uid, then sends state.
- *      /start    → validates linkStates/{state} doc exists, not used, not expired
- *      /callback → reads linkStates/{state}.uid (kcUid), marks doc used,
- *                  writes Firestore users/{uid}.discordId + RTDB users/{uid}/discordId +
- *                  RTDB discordLinks/{discordId} = { uid, linkedAt },
- *                  redirects to PUBLIC_WEB_SUCCESS_URL
+ * Where to look:
+ *   lib/app.cjs               routes, including link status, guild roles and admin APIs
+ *   lib/config.cjs            every environment variable, checked at boot
+ *   lib/result-page.cjs       failure reason codes
+ *   lib/return-to.cjs         returning to the starting page
+ *   lib/state-lifecycle.cjs   state outcomes and the sweep job
+ *   lib/rate-limit.cjs        per-IP / per-state limits
+ *   lib/webhooks.cjs          account.* webhooks and retries
+ *   lib/profile-refresh.cjs   stored refresh tokens and the profile refresh job
+ *   lib/store/firebase.cjs    Firestore and RTDB data layout
+ *   lib/discord.cjs           Discord API calls; `npm run fake-discord` starts
+ *                             lib/fake-discord-server.cjs for local runs
+ *
+ * This file only wires the environment to the app: routes live in lib/app.cjs,
+ * storage behind the repositories in lib/store/, and Discord HTTP calls in
+ * lib/discord.cjs.
  */
 
 'use strict';
-const express      = require('express');
-const admin        = require('firebase-admin');
-const path         = require('path');
+const admin = require('firebase-admin');
+const { createApp } = require('./lib/app.cjs');
+const { loadConfig } = require('./lib/config.cjs');
+const { createDiscordClient } = require('./lib/discord.cjs');
+const { createFirebaseStore } = require('./lib/store/firebase.cjs');
 // fetch is built into Node.js 18+ — no import needed
 
-const app = express();
-
-// Serve static files (link.html, discord-login-success.html, etc.)
-app.use(express.static(path.join(__dirname, 'public')));
+// ── Config (from env) ─────────────────────────────────────────────────────────
+// Validated up front (see lib/config.cjs) so a bad deploy stops here with every
+// problem listed instead of failing on the first user's request.
+let env;
+try {
+    env = loadConfig(process.env);
+} catch (err) {
+    if (err.code !== 'invalid-config') throw err;
+    console.error(err.message);
+    process.exit(1);
+}
+const { app: config, jobs } = env;
+const PORT = env.port;
 
 // ── Firebase Admin ────────────────────────────────────────────────────────────
 if (!admin.apps.length) {
-    const serviceAccount = JSON.parse(process.env.FB_SERVICE_ACCOUNT_JSON);
     admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-        databaseURL: process.env.FB_DATABASE_URL,
+        credential: admin.credential.cert(env.firebase.serviceAccount),
+        databaseURL: env.firebase.databaseURL,
     });
 }
-const fsdb = admin.firestore();
-const rtdb = admin.database();
-
-// ── Config (from env) ─────────────────────────────────────────────────────────
-const CLIENT_ID          = process.env.DISCORD_CLIENT_ID;
-const CLIENT_SECRET      = process.env.DISCORD_CLIENT_SECRET;
-const REDIRECT_URI       = process.env.DISCORD_REDIRECT_URI;
-const PUBLIC_WEB_SUCCESS = process.env.PUBLIC_WEB_SUCCESS_URL || 'https://kcevents.uk/#kcnow';
-const PORT               = process.env.PORT || 3000;
-
-const LINK_STATE_TTL_MS  = 15 * 60 * 1000; // 15 minutes
-
-// ── CORS headers ──────────────────────────────────────────────────────────────
-app.use((req, res, next) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    next();
-});
-
-// ── /oauth/discord/start ──────────────────────────────────────────────────────
-app.get('/oauth/discord/start', async (req, res) => {
-    const state = String(req.query.state || '').trim();
-    if (!state) return res.status(400).send('Missing state');
-
-    const isDiscordId = /^\d{17,20}$/.test(state);
 
-    if (!isDiscordId) {
-        // Web UI flow — validate Firestore linkStates document
-        try {
-            const doc = await fsdb.collection('linkStates').doc(state).get();
-            if (!doc.exists) return res.status(400).send('Unknown state');
-            const data = doc.data();
-            const createdMs = data.createdAt?.toMillis?.() || (data.createdAt?._seconds * 1000) || 0;
-            if (data.used) return res.status(400).send('State already used');
-            if (Date.now() - createdMs > LINK_STATE_TTL_MS) return res.status(400).send('State expired');
-        } catch (err) {
-            console.error('[start] Firestore error:', err);
-            return res.status(500).send('Internal error');
-        }
-    }
-
-    const params = new URLSearchParams({
-        client_id: CLIENT_ID,
-        redirect_uri: REDIRECT_URI,
-        response_type: 'code',
-        scope: 'identify',
-        state,
-        prompt: 'none',
-    });
-    res.redirect(`https://discord.com/oauth2/authorize?${params}`);
+const store = createFirebaseStore({ admin, fsdb: admin.firestore(), rtdb: admin.database() });
+const app = createApp({
+    store,
+    discord: createDiscordClient(env.discord),
+    // Per-process counters unless instances need to share them
+    rateLimitStore: env.rateLimitStore === 'firestore' ? store.rateLimits : undefined,
+    config,
 });
 
-// ── /oauth/discord/callback ───────────────────────────────────────────────────
-app.get('/oauth/discord/callback', async (req, res) => {
-    const { code, state, error } = req.query;
-
-    if (error) return res.status(400).send(`Discord error: ${error}`);
-    if (!code || !state) return res.status(400).send('Missing code or state');
-
-    const isDiscordIdState = /^\d{17,20}$/.test(String(state).trim());
-
-    if (isDiscordIdState) {
-        // ── Legacy bot flow ───────────────────────────────────────────────────
-        // Redirect straight to link.html — no API calls needed for this flow
-        const target = `https://auth.kcevents.uk/link.html?state=${encodeURIComponent(state)}&ok=1`;
-        return res.redirect(target);
-    }
-
-    // ── Web UI flow: exchange code + fetch Discord identity ───────────────────
-    let accessToken;
-    try {
-        const tokenRes = await fetch('https://discord.com/api/oauth2/token', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: new URLSearchParams({
-                client_id: CLIENT_ID,
-                client_secret: CLIENT_SECRET,
-                grant_type: 'authorization_code',
-                code,
-                redirect_uri: REDIRECT_URI,
-            }).toString(),
-        });
-        const tokenData = await tokenRes.json();
-        if (!tokenData.access_token) {
-            console.error('[callback] Token exchange failed:', tokenData);
-            return res.status(500).send('Token exchange failed');
-        }
-        accessToken = tokenData.access_token;
-    } catch (err) {
-        console.error('[callback] Token exchange error:', err);
-        return res.status(500).send('Internal error');
-    }
-
-    let discordUser;
-    try {
-        const userRes = await fetch('https://discord.com/api/users/@me', {
-            headers: { Authorization: `Bearer ${accessToken}` },
-        });
-        discordUser = await userRes.json();
-        if (!discordUser.id) {
-            console.error('[callback] Discord user fetch failed:', discordUser);
-            return res.status(500).send('Failed to get Discord identity');
-        }
-    } catch (err) {
-        console.error('[callback] Discord user fetch error:', err);
-        return res.status(500).send('Internal error');
-    }
-
-    const discordId = discordUser.id;
-
-    // ── Firestore linkStates lookup ───────────────────────────────────────────
-    const stateKey = String(state).trim();
-    let kcUid;
-    try {
-        const docRef = fsdb.collection('linkStates').doc(stateKey);
-        const doc = await docRef.get();
-        if (!doc.exists) return res.status(400).send('Unknown state');
-        const data = doc.data();
-        const createdMs = data.createdAt?.toMillis?.() || (data.createdAt?._seconds * 1000) || 0;
-        if (data.used) return res.status(400).send('State already used');
-        if (Date.now() - createdMs > LINK_STATE_TTL_MS) return res.status(400).send('State expired');
-        kcUid = data.uid;
-        await docRef.update({ used: true });
-    } catch (err) {
-        console.error('[callback] Firestore linkStates error:', err);
-        return res.status(500).send('Internal error');
-    }
-
-    // Write Discord ID to Firestore + RTDB (matching bot's data format)
-    try {
-        await Promise.all([
-            fsdb.collection('users').doc(kcUid).set({ discordId }, { merge: true }),
-            rtdb.ref(`users/${kcUid}/discordId`).set(discordId),
-            rtdb.ref(`discordLinks/${discordId}`).set({
-                uid: kcUid,
-                linkedAt: admin.database.ServerValue.TIMESTAMP,
-            }),
-        ]);
-    } catch (err) {
-        console.error('[callback] Firebase write error:', err);
-        return res.status(500).send('Failed to save link');
-    }
+app.listen(PORT, () => console.log(`Auth bridge listening on port ${PORT}`));
 
-    // Discord ID saved — redirect back to KC NOW
-    return res.redirect(PUBLIC_WEB_SUCCESS);
-});
+// ── Profile refresh job ───────────────────────────────────────────────────────
+if (config.tokenEncryptionKey && jobs.profileRefreshIntervalMs > 0) {
+    setInterval(() => {
+        app.locals.refreshProfiles()
+            .then(summary => console.log('[refresh] Batch done:', summary))
+            .catch(err => console.error('[refresh] Batch failed:', err));
+    }, jobs.profileRefreshIntervalMs).unref();
+}
 
-// ── Health check ──────────────────────────────────────────────────────────────
-app.get('/health', (req, res) => res.send('OK'));
+// ── Webhook retry job ─────────────────────────────────────────────────────────
+if (app.locals.webhooks.enabled) {
+    setInterval(() => {
+        app.locals.webhooks.retryDue()
+            .then(summary => { if (summary.delivered + summary.pending + summary.dead) console.log('[webhooks] Retries:', summary); })
+            .catch(err => console.error('[webhooks] Retry batch failed:', err));
+    }, jobs.webhookRetryIntervalMs).unref();
+}
 
-app.listen(PORT, () => console.log(`Auth bridge listening on port ${PORT}`));
+// ── linkStates sweep ──────────────────────────────────────────────────────────
+setInterval(() => {
+    app.locals.sweepStates()
+        .then(summary => { if (summary.swept || summary.failed) console.log('[states] Sweep done:', summary); })
+        .catch(err => console.error('[states] Sweep failed:', err));
+}, jobs.stateSweepIntervalMs).unref();
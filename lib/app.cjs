@@ -0,0 +1,1199 @@
+/**
+ * Express app factory for the auth bridge.
+ *
+ *   createApp({ store, discord, config }) → express app (not listening)
+ *
+ *   store   — repositories from lib/store/firebase.cjs or lib/store/memory.cjs
+ *   discord — client from lib/discord.cjs (or a fake with the same methods)
+ *   config  — see DEFAULT_CONFIG; index.cjs fills it from the environment
+ *   rateLimitStore — optional shared counter store (see lib/rate-limit.cjs);
+ *             defaults to a per-process in-memory one
+ *
+ * See index.cjs for a description of the flows themselves.
+ */
+
+'use strict';
+const express = require('express');
+const path    = require('path');
+const crypto  = require('crypto');
+const { isLegacyState, verifyLegacyState } = require('./legacy-state.cjs');
+const { beginOAuthSession, finishOAuthSession } = require('./oauth-session.cjs');
+const { createTokenCipher } = require('./token-cipher.cjs');
+const { refreshProfiles, sealGrant } = require('./profile-refresh.cjs');
+const { createWebhookDispatcher } = require('./webhooks.cjs');
+const { createMemoryRateLimitStore, consume } = require('./rate-limit.cjs');
+const { stateError, sweepStates } = require('./state-lifecycle.cjs');
+const { FAILURES, BUTTON_STYLE, escapeHtml, wantsJson, renderPage } = require('./result-page.cjs');
+const { allowedReturnTo, withStatus } = require('./return-to.cjs');
+
+const DEFAULT_CONFIG = {
+    clientId: '',
+    redirectUri: '',
+    publicWebSuccess: 'https://kcevents.uk/#kcnow',
+    publicWebError: '/discord-login-error',
+    publicLoginSuccess: '/discord-login-success',
+    kcLoginUrl: 'https://kcevents.uk/#loginpage',
+    discordAuthorizeUrl: 'https://discord.com/oauth2/authorize',
+    linkPageUrl: 'https://auth.kcevents.uk/link.html',
+    botSharedSecret: '',
+    legacyStateSecret: '',
+    guildId: '',                    // set to enable guild role sync
+    tokenEncryptionKey: '',         // set to store refresh tokens and refresh profiles
+    profileRefreshAgeMs: 24 * 60 * 60 * 1000, // refresh profiles older than a day
+    profileRefreshBatchSize: 50,
+    webhookUrls: [],                // receivers of account.* events; needs webhookSecret
+    webhookSecret: '',
+    webhookMaxAttempts: 8,
+    webhookRetryBaseMs: 30 * 1000,  // doubles per failed attempt
+    trustProxy: false,              // express 'trust proxy'; loadConfig turns per-IP limits off until it is set
+    rateLimitWindowMs: 60 * 1000,
+    linkStateLimitPerIp: 20,        // POST /api/link-states; login states need no sign-in
+    startLimitPerIp: 30,            // requests per window; 0 disables a limit
+    startLimitPerState: 10,
+    callbackLimitPerIp: 30,
+    callbackLimitPerState: 5,
+    maxFailedCallbacks: 5,          // failed callbacks before a state is burned
+    linkStateTtlMs: 15 * 60 * 1000, // 15 minutes
+    stateRetentionMs: 24 * 60 * 60 * 1000, // sweep states older than a day
+    stateSweepBatchSize: 200,
+    stateSweepMaxBatches: 50,       // up to 10,000 states per run
+    archiveSweptStates: false,      // move to linkStatesArchive instead of deleting
+    linkTicketTtlMs: 5 * 60 * 1000, // 5 minutes
+    allowedOrigins: ['https://kcevents.uk', 'https://auth.kcevents.uk'], // where users may be sent
+    returnToAllowlist: ['https://kcevents.uk/'], // pages a link state's returnTo may point at
+    healthCheckTimeoutMs: 3000,     // per backend in /health/ready
+};
+
+const STATE_MODES = ['link', 'login'];
+
+// Reason code for a Discord client error (see DISCORD_ERRORS in lib/discord.cjs).
+function discordFailure(err) {
+    if (err.code === 'invalid_grant') return 'expired';
+    if (['rate_limited', 'timeout', 'unavailable', 'bad_response', 'unauthorized'].includes(err.code)) {
+        return 'discord_unavailable';
+    }
+    return 'internal';
+}
+
+// Reason code for a state validation error from legacy-state.cjs or the linkStates checks.
+const stateFailure = message => ({
+    'State expired': 'expired',
+    'State already used': 'already_used',
+    'Conflict already resolved': 'already_used',
+})[message] || 'invalid_state';
+
+// Guild membership snapshot from a Discord member object (null = not a member).
+function guildSnapshot(member) {
+    return {
+        inGuild: Boolean(member),
+        roles: member?.roles || [],
+        nick: member?.nick || null,
+    };
+}
+
+// Custom claims mirroring the guild snapshot, for gating site features by role.
+// Role IDs are ~19 chars, so this stays well under the 1000-byte claims limit
+// for any sane number of roles.
+function guildClaims(guild) {
+    return { discordGuildMember: guild.inGuild, discordRoles: guild.roles };
+}
+
+const GUILD_CLAIMS = ['discordGuildMember', 'discordRoles'];
+
+// Profile fields stored on users/{uid} next to discordId. Written on every link
+// and profile refresh, which also clears a stale flag from a revoked grant.
+function discordProfile(discordUser) {
+    return {
+        discordUsername: discordUser.username || null,
+        discordGlobalName: discordUser.global_name || null,
+        discordAvatarURL: discordUser.avatar
+            ? `https://cdn.discordapp.com/avatars/${discordUser.id}/${discordUser.avatar}.png`
+            : null,
+        discordLinkStale: false,
+    };
+}
+
+function createApp({ store, discord, rateLimitStore = createMemoryRateLimitStore(), config = {} }) {
+    // Unset (undefined) keys fall back to the defaults
+    const cfg = { ...DEFAULT_CONFIG };
+    for (const [key, value] of Object.entries(config)) {
+        if (value !== undefined) cfg[key] = value;
+    }
+    const cipher = cfg.tokenEncryptionKey ? createTokenCipher(cfg.tokenEncryptionKey) : null;
+    const app = express();
+    app.set('trust proxy', cfg.trustProxy);
+
+    // account.* webhooks; index.cjs schedules webhooks.retryDue() and
+    // POST /admin/webhooks/replay resends failed deliveries.
+    const webhooks = createWebhookDispatcher({
+        store,
+        urls: cfg.webhookUrls,
+        secret: cfg.webhookSecret,
+        maxAttempts: cfg.webhookMaxAttempts,
+        baseDelayMs: cfg.webhookRetryBaseMs,
+    });
+    app.locals.webhooks = webhooks;
+
+    // Deletes (or archives) old linkStates and spent linkTickets; index.cjs schedules it
+    // and POST /admin/link-states/sweep triggers it on demand.
+    app.locals.sweepStates = () => sweepStates({
+        store,
+        retentionMs: cfg.stateRetentionMs,
+        ticketTtlMs: cfg.linkTicketTtlMs,
+        batchSize: cfg.stateSweepBatchSize,
+        maxBatches: cfg.stateSweepMaxBatches,
+        archive: cfg.archiveSweptStates,
+    });
+
+    // Runs one batch of the profile refresh job; index.cjs schedules it and
+    // POST /api/discord/refresh triggers it on demand.
+    app.locals.refreshProfiles = () => refreshProfiles({
+        store,
+        discord,
+        cipher,
+        profileOf: discordProfile,
+        maxAgeMs: cfg.profileRefreshAgeMs,
+        batchSize: cfg.profileRefreshBatchSize,
+    });
+
+    // Serve static files (link.html, etc.)
+    app.use(express.static(path.join(__dirname, '..', 'public')));
+
+    // ── CORS headers ──────────────────────────────────────────────────────────
+    app.use((req, res, next) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Bot-Secret, X-Request-Id');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
+        if (req.method === 'OPTIONS') return res.sendStatus(204);
+        next();
+    });
+
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // ── Request IDs ───────────────────────────────────────────────────────────
+    // Correlation ID shown on error pages, returned in JSON errors and logged;
+    // a well-formed X-Request-Id from a proxy is kept.
+    app.use((req, res, next) => {
+        const given = req.get('X-Request-Id');
+        req.id = given && /^[\w.-]{8,64}$/.test(given) ? given : crypto.randomUUID();
+        res.setHeader('X-Request-Id', req.id);
+        next();
+    });
+
+    // ── Auth helpers ──────────────────────────────────────────────────────────
+    // Verifies the Firebase ID token in `Authorization: Bearer <token>` and returns
+    // the decoded token, or null when it is missing or invalid.
+    async function verifyIdToken(req) {
+        const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+        if (!match) return null;
+        try {
+            return await store.auth.verifyIdToken(match[1]);
+        } catch (err) {
+            console.warn('[auth] ID token rejected:', err.code || err.message);
+            return null;
+        }
+    }
+
+    // Constant-time comparison of the X-Bot-Secret header against the bot secret.
+    function isBotRequest(req) {
+        if (!cfg.botSharedSecret) return false;
+        const given    = Buffer.from(String(req.get('X-Bot-Secret') || ''));
+        const expected = Buffer.from(cfg.botSharedSecret);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    // Appends an entry to the linkAudit trail. Never throws: losing an audit
+    // entry must not fail the request it describes.
+    async function audit(entry) {
+        try {
+            await store.audit.append({
+                stateId: null, uid: null, discordId: null, flow: null, reason: null, ...entry,
+            });
+        } catch (err) {
+            console.error('[audit] Failed to record', entry.event, err);
+        }
+    }
+
+    // Records how a used state ended (see OUTCOMES in lib/state-lifecycle.cjs).
+    // Best effort, like audit(): the user's result doesn't depend on it.
+    async function settle(stateId, outcome) {
+        try {
+            await store.states.setOutcome(stateId, outcome);
+        } catch (err) {
+            console.error(`[states] Failed to record outcome ${outcome} for ${stateId}:`, err);
+        }
+    }
+
+    // Resolves to the decoded ID token of an admin (custom claim `admin: true`),
+    // or sends 401/403 and resolves to null.
+    async function requireAdmin(req, res) {
+        const decoded = await verifyIdToken(req);
+        if (!decoded) {
+            res.status(401).json({ error: 'Invalid or missing ID token' });
+            return null;
+        }
+        if (decoded.admin !== true) {
+            res.status(403).json({ error: 'Admin access required' });
+            return null;
+        }
+        return decoded;
+    }
+
+    // ── Rate limits ───────────────────────────────────────────────────────────
+    // Per-IP and per-state limits for state creation, /start and /callback,
+    // checked before any Firestore read or Discord call. Blocked requests are
+    // only logged, not audited, so a flood can't turn into a flood of Firestore
+    // writes. `api` routes always answer in JSON.
+    function rateLimit(route, ipLimit, stateLimit, { api = false } = {}) {
+        return async (req, res, next) => {
+            const state = String(req.query.state || '').trim();
+            const checks = [[`${route}:ip:${req.ip}`, ipLimit, `IP ${req.ip}`]];
+            if (state) checks.push([`${route}:state:${state}`, stateLimit, `state ${state.slice(0, 8)}…`]);
+            try {
+                for (const [key, limit, label] of checks) {
+                    const result = await consume(rateLimitStore, key, { limit, windowMs: cfg.rateLimitWindowMs });
+                    if (result.allowed) continue;
+                    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+                    console.warn(`[rate-limit] Blocked ${route} for ${label} (${req.id}), retry in ${retryAfter}s`);
+                    res.set('Retry-After', String(retryAfter));
+                    if (api) {
+                        return res.status(429).json({ error: FAILURES.rate_limited.message, reason: 'rate_limited', requestId: req.id });
+                    }
+                    return sendFailure(req, res, 'rate_limited', { inline: true });
+                }
+            } catch (err) {
+                // A broken counter store must not take sign-in down with it
+                console.error('[rate-limit] Store error:', err);
+            }
+            next();
+        };
+    }
+
+    // Failures that are our side's or Discord's fault, or the user's own choice,
+    // don't count towards burning a state.
+    const UNCOUNTED_FAILURES = ['denied', 'discord_unavailable', 'internal', 'save_failed'];
+    const failedCallbacksKey = state => `callback:failed:${state}`;
+
+    // Counts a failed callback for the trail's state and burns the state once
+    // maxFailedCallbacks is reached: web states are also marked used, so the
+    // burn outlives the counter.
+    async function countFailedCallback(trail, reason) {
+        if (!cfg.maxFailedCallbacks || !trail.stateId || UNCOUNTED_FAILURES.includes(reason)) return;
+        try {
+            const { count } = await rateLimitStore.hit(failedCallbacksKey(trail.stateId), cfg.linkStateTtlMs);
+            if (count !== cfg.maxFailedCallbacks) return;
+            console.warn(`[rate-limit] Burned state ${trail.stateId.slice(0, 8)}… after ${count} failed callbacks`);
+            if (trail.flow === 'web') await store.states.markUsed(trail.stateId, 'burned').catch(() => {});
+            await audit({ ...trail, event: 'state.burned', result: 'error', reason: `${count} failed callbacks` });
+        } catch (err) {
+            console.error('[rate-limit] Store error:', err);
+        }
+    }
+
+    async function isBurned(state) {
+        if (!cfg.maxFailedCallbacks) return false;
+        try {
+            return ((await rateLimitStore.get(failedCallbacksKey(state)))?.count || 0) >= cfg.maxFailedCallbacks;
+        } catch (err) {
+            console.error('[rate-limit] Store error:', err);
+            return false;
+        }
+    }
+
+    // ── Page helpers ──────────────────────────────────────────────────────────
+    // Reports a failed browser flow. JSON clients get { error, reason, requestId };
+    // browsers are sent to publicWebError?reason=&requestId=&flow= (the bridge's
+    // own /discord-login-error page by default), or shown that page directly if
+    // publicWebError is empty or `inline` is set. `flow` (link, login or legacy)
+    // picks the "start again" action. With an allowlisted `returnTo` browsers go
+    // back there with ?discordLink=error&reason=&requestId= instead.
+    function sendFailure(req, res, reason, { message, status, flow, inline = false, returnTo = null } = {}) {
+        const failure = FAILURES[reason] || FAILURES.internal;
+        if (wantsJson(req)) {
+            return res.status(status || failure.status).json({
+                error: message || failure.message, reason, requestId: req.id,
+            });
+        }
+        if (inline || !cfg.publicWebError) {
+            return res.status(status || failure.status).type('html').send(renderFailure(reason, req.id, flow));
+        }
+        if (returnTo) return res.redirect(withStatus(returnTo, { discordLink: 'error', reason, requestId: req.id }));
+        const url = new URL(cfg.publicWebError, cfg.redirectUri);
+        url.searchParams.set('reason', reason);
+        url.searchParams.set('requestId', req.id);
+        if (flow) url.searchParams.set('flow', flow);
+        return res.redirect(url.toString());
+    }
+
+    // The `fail` helper of /start and /callback: records the failure against the
+    // route's audit trail, then reports it. `detail` (default: `message`) is what
+    // the audit log keeps. The route sets `landing.returnTo` once it has read the
+    // state, so failures after that go back to the page the user started from.
+    function failWith(req, res, trail, landing = {}) {
+        return async (reason, message, { detail = message, status } = {}) => {
+            await audit({ ...trail, result: 'error', reason: detail });
+            if (trail.event === 'callback') await countFailedCallback(trail, reason);
+            const flow = trail.flow === 'legacy' ? 'legacy' : trail.mode;
+            return sendFailure(req, res, reason, { message, status, flow, returnTo: landing.returnTo || null });
+        };
+    }
+
+    // The allowlisted returnTo of a linkStates document, checked again in case
+    // the allowlist changed since the state was issued.
+    function returnToOf(data) {
+        return data?.issuedBy === 'bridge' ? allowedReturnTo(data.returnTo, cfg.returnToAllowlist) : null;
+    }
+
+    function renderFailure(reason, requestId, flow) {
+        const failure = FAILURES[reason] || {
+            title: 'Linking error',
+            message: 'We were unable to link your Discord account. Please start again, or contact support if the issue persists.',
+        };
+        const paragraphs = [escapeHtml(failure.message)];
+        if (flow === 'legacy') paragraphs.push('To link from Discord, run the bot’s link command again.');
+        return renderPage({
+            title: failure.title,
+            paragraphs,
+            actions: [flow === 'login'
+                ? { href: cfg.kcLoginUrl, label: 'Sign in again' }
+                : { href: cfg.publicWebSuccess, label: 'Start again' }],
+            requestId,
+        });
+    }
+
+    // Best-effort human label for a KC account shown on the conflict page.
+    async function describeKcUser(uid) {
+        try {
+            const data = (await store.users.get(uid)) || {};
+            return data.displayName || data.username || 'another KC Events account';
+        } catch (err) {
+            return 'another KC Events account';
+        }
+    }
+
+    // Exchanges the code and returns the users/@me object plus, in guild mode,
+    // the user's membership snapshot for the configured guild. The snapshot is
+    // optional: if the lookup fails the link goes ahead without it (guild null)
+    // and the bot's next role re-sync fills it in.
+    async function identifyDiscordUser(code, codeVerifier) {
+        const tokens = await discord.exchangeCode(code, codeVerifier);
+        const discordUser = await discord.getCurrentUser(tokens.access_token);
+        let guild = null;
+        if (cfg.guildId) {
+            try {
+                guild = guildSnapshot(await discord.getGuildMember(tokens.access_token, cfg.guildId));
+            } catch (err) {
+                console.error('[guild] Member lookup failed for', discordUser.id, err);
+            }
+        }
+        return { discordUser, guild, tokens };
+    }
+
+    // Keeps a sealed grant (see sealGrant) for the profile refresh job, once the
+    // link it belongs to is saved. A failure here only costs us future
+    // refreshes, so it never fails the request.
+    async function keepGrant(discordId, grant) {
+        if (!grant) return;
+        try {
+            await store.discordTokens.save(discordId, grant);
+        } catch (err) {
+            console.error('[tokens] Failed to store refresh token for', discordId, err);
+        }
+    }
+
+    // Stores the guild snapshot on users/{uid} and mirrors it into custom claims.
+    // Never fails the surrounding request: the link itself is already saved.
+    async function syncGuildRoles(uid, guild) {
+        if (!guild) return;
+        try {
+            await store.users.setGuild(uid, guild);
+            await store.auth.mergeCustomClaims(uid, guildClaims(guild));
+        } catch (err) {
+            // Accounts created by login mode have no Auth user until first sign-in;
+            // their roles travel in the custom token instead.
+            if (err.code === 'auth/user-not-found') return;
+            console.error('[guild] Role sync failed for', uid, err);
+        }
+    }
+
+    // Undoes syncGuildRoles for a user who no longer has a Discord link, so
+    // role-gated features close with the link. Best-effort like the sync.
+    async function clearGuildRoles(uid) {
+        try {
+            await store.users.clearGuild(uid);
+            await store.auth.removeCustomClaims(uid, GUILD_CLAIMS);
+        } catch (err) {
+            if (err.code === 'auth/user-not-found') return;
+            console.error('[guild] Failed to clear roles for', uid, err);
+        }
+    }
+
+    // Login mode: resolves the KC uid for a Discord user, creating a users/{uid}
+    // document when the Discord account has never been seen before.
+    async function findOrCreateLoginUser(discordUser) {
+        const uid = await store.links.getUid(discordUser.id);
+        if (uid) return { uid, created: false };
+        const created = await store.users.create({
+            displayName: discordUser.username,
+            username: discordUser.username,
+            joined: Date.now(),
+        });
+        return { uid: created, created: true };
+    }
+
+    // ── /api/link-states ──────────────────────────────────────────────────────
+    // Issues a web-flow state. For 'link' mode the state is bound to the signed-in
+    // KC user; the state ID and its uid come from the bridge, never from the browser.
+    // An optional `returnTo` (link mode only) is kept if it is on
+    // returnToAllowlist and silently dropped otherwise; the response echoes
+    // what was kept.
+    const limitLinkStates = rateLimit('link-states', cfg.linkStateLimitPerIp, 0, { api: true });
+    app.post('/api/link-states', limitLinkStates, async (req, res) => {
+        const mode = req.body?.mode || 'link';
+        if (!STATE_MODES.includes(mode)) return res.status(400).json({ error: 'Invalid mode' });
+        const returnTo = mode === 'link' ? allowedReturnTo(req.body?.returnTo, cfg.returnToAllowlist) : null;
+
+        // Login states identify the user only after Discord answers
+        let uid = null;
+        if (mode === 'link') {
+            const decoded = await verifyIdToken(req);
+            if (!decoded) return res.status(401).json({ error: 'Invalid or missing ID token' });
+            uid = decoded.uid;
+        }
+
+        const state = crypto.randomBytes(24).toString('hex');
+        const trail = { event: 'state.created', stateId: state, uid, flow: 'web', mode };
+        try {
+            await store.states.create(state, { mode, uid, returnTo, issuedBy: 'bridge' });
+        } catch (err) {
+            console.error('[link-states] Firestore error:', err);
+            await audit({ ...trail, result: 'error', reason: `Firestore write error: ${err.message}` });
+            return res.status(500).json({ error: 'Internal error' });
+        }
+        await audit({ ...trail, result: 'ok' });
+
+        // The redirect URI points at this bridge, so it doubles as our public base URL
+        const url = new URL('/oauth/discord/start', cfg.redirectUri);
+        url.searchParams.set('state', state);
+        return res.status(201).json({ state, mode, url: url.toString(), returnTo, expiresInMs: cfg.linkStateTtlMs });
+    });
+
+    // ── /api/link-states/:state/cancel ────────────────────────────────────────
+    // Lets the signed-in owner of a pending link state withdraw it (e.g. the
+    // user closed the Discord tab). Login states have no owner and just expire.
+    app.post('/api/link-states/:state/cancel', async (req, res) => {
+        const decoded = await verifyIdToken(req);
+        if (!decoded) return res.status(401).json({ error: 'Invalid or missing ID token' });
+
+        const { state } = req.params;
+        const trail = { event: 'state.cancelled', requestId: req.id, stateId: state, uid: decoded.uid, flow: 'web' };
+        try {
+            const data = await store.states.get(state);
+            // Someone else's state looks exactly like a missing one
+            if (data?.issuedBy !== 'bridge' || data.uid !== decoded.uid) {
+                return res.status(404).json({ error: 'Unknown state' });
+            }
+            if (data.used) return res.status(409).json({ error: 'State already used', outcome: data.outcome || null });
+            await store.states.markUsed(state, 'cancelled');
+        } catch (err) {
+            console.error('[link-states] Cancel error:', err);
+            return res.status(500).json({ error: 'Internal error' });
+        }
+        await audit({ ...trail, result: 'ok' });
+        return res.json({ ok: true, state, outcome: 'cancelled' });
+    });
+
+    // ── /oauth/discord/start ──────────────────────────────────────────────────
+    const limitStart = rateLimit('start', cfg.startLimitPerIp, cfg.startLimitPerState);
+    app.get('/oauth/discord/start', limitStart, async (req, res) => {
+        const state = String(req.query.state || '').trim();
+        const trail = { event: 'start', requestId: req.id, stateId: state || null, flow: isLegacyState(state) ? 'legacy' : 'web' };
+        const landing = { returnTo: null };
+        const fail = failWith(req, res, trail, landing);
+
+        if (!state) return fail('invalid_state', 'Missing state');
+        if (/^\d{17,20}$/.test(state)) return fail('invalid_state', 'Unsigned state is no longer accepted');
+        if (await isBurned(state)) return fail('already_used', 'State burned after too many failed callbacks');
+
+        if (trail.flow === 'legacy') {
+            const verified = verifyLegacyState(state, cfg.legacyStateSecret, cfg.linkStateTtlMs);
+            if (verified.error) return fail(stateFailure(verified.error), verified.error);
+            trail.discordId = verified.discordId;
+        } else {
+            // Web UI flow — validate Firestore linkStates document
+            try {
+                const data = await store.states.get(state);
+                if (data?.issuedBy === 'bridge') Object.assign(trail, { uid: data.uid, mode: data.mode || 'link' });
+                landing.returnTo = returnToOf(data);
+                const problem = stateError(data, cfg.linkStateTtlMs);
+                if (problem) return fail(stateFailure(problem), problem);
+            } catch (err) {
+                console.error('[start] Firestore error:', err);
+                return fail('internal', 'Internal error', { detail: `Firestore read error: ${err.message}` });
+            }
+        }
+
+        const params = new URLSearchParams({
+            client_id: cfg.clientId,
+            redirect_uri: cfg.redirectUri,
+            response_type: 'code',
+            scope: cfg.guildId ? 'identify guilds.members.read' : 'identify',
+            state,
+            prompt: 'none',
+            ...beginOAuthSession(req, res, state, cfg.linkStateTtlMs),
+        });
+        await audit({ ...trail, result: 'ok' });
+        res.redirect(`${cfg.discordAuthorizeUrl}?${params}`);
+    });
+
+    // ── /oauth/discord/callback ───────────────────────────────────────────────
+    const limitCallback = rateLimit('callback', cfg.callbackLimitPerIp, cfg.callbackLimitPerState);
+    app.get('/oauth/discord/callback', limitCallback, async (req, res) => {
+        const { code, state, error } = req.query;
+        const stateKey = String(state || '').trim();
+        const trail = { event: 'callback', requestId: req.id, stateId: stateKey || null, flow: isLegacyState(stateKey) ? 'legacy' : 'web' };
+        const landing = { returnTo: null };
+        const fail = failWith(req, res, trail, landing);
+
+        if (error) {
+            // Discord still sends the state, so a user who cancelled can land back where they started
+            if (trail.flow === 'web' && stateKey) {
+                landing.returnTo = returnToOf(await store.states.get(stateKey).catch(() => null));
+            }
+            return fail(error === 'access_denied' ? 'denied' : 'internal', `Discord error: ${error}`);
+        }
+        if (!code || !state) return fail('invalid_state', 'Missing code or state');
+        if (await isBurned(stateKey)) return fail('already_used', 'State burned after too many failed callbacks');
+
+        const session = finishOAuthSession(req, res, stateKey);
+        if (session.error) {
+            console.warn(`[callback] Rejected ${session.reason} for state ${stateKey}`);
+            return fail(session.reason, session.error);
+        }
+        // ── Validate the state before spending the code ───────────────────────
+        let legacy = null;
+        let kcUid, mode;
+        if (trail.flow === 'legacy') {
+            legacy = verifyLegacyState(stateKey, cfg.legacyStateSecret, cfg.linkStateTtlMs);
+            if (legacy.error) return fail(stateFailure(legacy.error), legacy.error);
+        } else {
+            try {
+                const data = await store.states.get(stateKey);
+                if (data?.issuedBy === 'bridge') Object.assign(trail, { uid: data.uid, mode: data.mode || 'link' });
+                landing.returnTo = returnToOf(data);
+                const problem = stateError(data, cfg.linkStateTtlMs);
+                if (problem) return fail(stateFailure(problem), problem);
+                kcUid = data.uid;
+                mode = trail.mode;
+            } catch (err) {
+                console.error('[callback] Firestore linkStates error:', err);
+                return fail('internal', 'Internal error', { detail: `Firestore linkStates error: ${err.message}` });
+            }
+        }
+
+        // ── Exchange code + fetch Discord identity ────────────────────────────
+        let discordUser, guild, tokens;
+        try {
+            ({ discordUser, guild, tokens } = await identifyDiscordUser(code, session.codeVerifier));
+        } catch (err) {
+            console.error(`[callback] Discord API error (${err.code || 'unknown'}):`, err.message, err.details ?? '');
+            if (err.retryAfterMs) res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)));
+            return fail(discordFailure(err), err.publicMessage || 'Internal error', {
+                detail: err.code ? `Discord ${err.code}: ${err.message}` : err.message,
+                status: err.status,
+            });
+        }
+        // Only stored once a link is saved, so failed flows leave no tokens behind
+        const grant = cipher ? sealGrant(cipher, tokens) : null;
+
+        const discordId = discordUser.id;
+        const profile = discordProfile(discordUser);
+        trail.discordId = discordId;
+
+        if (legacy) {
+            // ── Legacy bot flow ───────────────────────────────────────────────
+            // The person who authorised must be the Discord user the bot signed for
+            if (discordId !== legacy.discordId) {
+                console.warn('[callback] Legacy state mismatch:', legacy.discordId, '!=', discordId);
+                return fail('identity_mismatch', 'Discord account does not match link request', {
+                    detail: `Discord account does not match link request (expected ${legacy.discordId})`,
+                });
+            }
+            const ticket = crypto.randomBytes(24).toString('hex');
+            try {
+                await store.tickets.create(ticket, { discordId, profile, guild, grant });
+            } catch (err) {
+                console.error('[callback] Firestore linkTickets error:', err);
+                return fail('save_failed', 'Internal error', { detail: `Firestore write error: ${err.message}` });
+            }
+            await audit({ ...trail, result: 'ok', reason: 'Ticket issued' });
+            return res.redirect(`${cfg.linkPageUrl}?ticket=${ticket}`);
+        }
+
+        try {
+            await store.states.markUsed(stateKey);
+        } catch (err) {
+            console.error('[callback] Firestore linkStates error:', err);
+            return fail('internal', 'Internal error', { detail: `Firestore linkStates error: ${err.message}` });
+        }
+
+        if (mode === 'login') {
+            // ── Login mode: find/create the KC user and mint a custom token ───
+            let customToken, uid, created;
+            let saved = false;
+            try {
+                ({ uid, created } = await findOrCreateLoginUser(discordUser));
+                trail.uid = uid;
+                if (await store.links.save(uid, discordId, profile)) {
+                    console.error('[callback] Login link conflict for', uid, discordId);
+                    await audit({ ...trail, result: 'conflict', reason: 'Discord account is linked inconsistently' });
+                    await settle(stateKey, 'failed');
+                    return sendFailure(req, res, 'conflict', { message: 'Discord account is linked inconsistently', flow: 'login' });
+                }
+                saved = true;
+                await keepGrant(discordId, grant);
+                await syncGuildRoles(uid, guild);
+                customToken = await store.auth.createCustomToken(uid, {
+                    discordId,
+                    ...(guild ? guildClaims(guild) : {}),
+                });
+            } catch (err) {
+                console.error('[callback] Login error:', err);
+                await settle(stateKey, 'failed');
+                // save_failed promises nothing changed, which is only true before the link is saved
+                return fail(saved ? 'internal' : 'save_failed', 'Failed to sign in', { detail: `Login error: ${err.message}` });
+            }
+            await audit({ ...trail, event: 'link', result: 'ok' });
+            await settle(stateKey, 'logged_in');
+            // Signing in with an already linked account is not news to anyone
+            if (created) webhooks.emit('account.linked', { uid, discordId, flow: 'login' });
+            const successUrl = new URL(cfg.publicLoginSuccess, cfg.redirectUri);
+            successUrl.searchParams.set('customToken', customToken);
+            return res.redirect(successUrl.toString());
+        }
+
+        // Write Discord ID to Firestore + RTDB (matching bot's data format)
+        let conflict;
+        try {
+            conflict = await store.links.save(kcUid, discordId, profile);
+        } catch (err) {
+            console.error('[callback] Firebase write error:', err);
+            await settle(stateKey, 'failed');
+            return fail('save_failed', 'Failed to save link', { detail: `Firebase write error: ${err.message}` });
+        }
+
+        if (conflict) {
+            // Park the conflict on the state doc and let the user decide
+            const token = crypto.randomBytes(24).toString('hex');
+            try {
+                await store.states.setConflict(stateKey, {
+                    discordId,
+                    profile,
+                    guild,
+                    currentUid: conflict.currentUid,
+                    previousDiscordId: conflict.previousDiscordId,
+                    grant,
+                    token,
+                });
+            } catch (err) {
+                console.error('[callback] Firestore conflict write error:', err);
+                await settle(stateKey, 'failed');
+                return fail('save_failed', 'Internal error', { detail: `Firestore conflict write error: ${err.message}` });
+            }
+            await audit({
+                ...trail,
+                result: 'conflict',
+                reason: conflict.currentUid
+                    ? `Discord account held by ${conflict.currentUid}`
+                    : `User already linked to ${conflict.previousDiscordId}`,
+            });
+            await settle(stateKey, 'conflict');
+            const params = new URLSearchParams({ state: stateKey, token });
+            return res.redirect(`/oauth/discord/conflict?${params}`);
+        }
+
+        // Discord ID saved — redirect back to the starting page, or KC NOW
+        await keepGrant(discordId, grant);
+        await syncGuildRoles(kcUid, guild);
+        await audit({ ...trail, event: 'link', result: 'ok' });
+        await settle(stateKey, 'linked');
+        webhooks.emit('account.linked', { uid: kcUid, discordId, flow: 'web' });
+        return res.redirect(landing.returnTo ? withStatus(landing.returnTo, { discordLink: 'linked' }) : cfg.publicWebSuccess);
+    });
+
+    // ── /oauth/discord/conflict ───────────────────────────────────────────────
+    // Loads a pending conflict from linkStates/{state}, checking the one-time token
+    // the callback put in the redirect. Resolves to { data } or { error }.
+    async function loadConflict(state, token) {
+        if (!state || !token) return { error: 'Missing state or token' };
+        const data = await store.states.get(String(state));
+        const conflict = data?.conflict;
+        if (!conflict) return { error: 'No pending conflict' };
+
+        const given    = Buffer.from(String(token));
+        const expected = Buffer.from(conflict.token);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return { error: 'No pending conflict' };
+        }
+        if (conflict.resolvedAt) return { error: 'Conflict already resolved' };
+        if (Date.now() - conflict.createdAtMs > cfg.linkStateTtlMs) return { error: 'State expired' };
+        return { data };
+    }
+
+    app.get('/oauth/discord/conflict', async (req, res) => {
+        const { state, token } = req.query;
+        let loaded;
+        try {
+            loaded = await loadConflict(state, token);
+        } catch (err) {
+            console.error('[conflict] Firestore error:', err);
+            return sendFailure(req, res, 'internal', { message: 'Internal error' });
+        }
+        if (loaded.error) return sendFailure(req, res, stateFailure(loaded.error), { message: loaded.error });
+
+        const { conflict } = loaded.data;
+        const cancelUrl = returnToOf(loaded.data) || cfg.publicWebSuccess;
+        const lines = [];
+        if (conflict.currentUid) {
+            const holder = await describeKcUser(conflict.currentUid);
+            lines.push(`This Discord account is currently linked to <strong>${escapeHtml(holder)}</strong>. ` +
+                'Moving it will unlink it from that account.');
+        }
+        if (conflict.previousDiscordId) {
+            lines.push(`Your KC Events account is currently linked to Discord account ` +
+                `<strong>${escapeHtml(conflict.previousDiscordId)}</strong>. Moving will replace that link.`);
+        }
+
+        const html = renderPage({
+            title: 'Link Conflict',
+            heading: 'This link is already in use',
+            paragraphs: lines,
+            extraHtml: `<form method="POST" action="/oauth/discord/conflict/confirm">
+        <input type="hidden" name="state" value="${escapeHtml(state)}" />
+        <input type="hidden" name="token" value="${escapeHtml(token)}" />
+        <button type="submit" style="${BUTTON_STYLE}">Move the link to my account</button>
+        <a href="${escapeHtml(cancelUrl)}" style="margin-left: 1rem;">Cancel</a>
+    </form>`,
+            requestId: req.id,
+        });
+        res.set('Content-Type', 'text/html').send(html);
+    });
+
+    app.post('/oauth/discord/conflict/confirm', async (req, res) => {
+        const { state, token } = req.body || {};
+        let loaded;
+        try {
+            loaded = await loadConflict(state, token);
+            if (loaded.error) return sendFailure(req, res, stateFailure(loaded.error), { message: loaded.error });
+
+            // Claim the conflict first so a double-submit can't run the move twice
+            if (!(await store.states.resolveConflict(String(state)))) {
+                return sendFailure(req, res, 'already_used', { message: 'Conflict already resolved' });
+            }
+        } catch (err) {
+            console.error('[conflict] Firestore error:', err);
+            return sendFailure(req, res, 'internal', { message: 'Internal error' });
+        }
+
+        const { uid: kcUid, conflict } = loaded.data;
+        const returnTo = returnToOf(loaded.data);
+        const trail = {
+            event: 'relink', requestId: req.id, stateId: String(state), uid: kcUid, discordId: conflict.discordId, flow: 'web', mode: 'link',
+        };
+        try {
+            await store.links.move(kcUid, conflict.discordId, conflict, conflict.profile);
+        } catch (err) {
+            await audit({ ...trail, result: 'error', reason: err.message });
+            if (err.code === 'link-changed') {
+                return sendFailure(req, res, 'conflict', { message: 'Link changed, please start again', flow: 'link', returnTo });
+            }
+            console.error('[conflict] Firebase write error:', err);
+            return sendFailure(req, res, 'save_failed', { message: 'Failed to save link', flow: 'link', returnTo });
+        }
+        await keepGrant(conflict.discordId, conflict.grant || null);
+        // The previous holder lost the account, and with it the roles
+        if (conflict.currentUid) await clearGuildRoles(conflict.currentUid);
+        await syncGuildRoles(kcUid, conflict.guild);
+        await audit({
+            ...trail,
+            result: 'ok',
+            previousUid: conflict.currentUid || null,
+            previousDiscordId: conflict.previousDiscordId || null,
+        });
+        await settle(String(state), 'relinked');
+        webhooks.emit('account.relinked', {
+            uid: kcUid,
+            discordId: conflict.discordId,
+            previousUid: conflict.currentUid || null,
+            previousDiscordId: conflict.previousDiscordId || null,
+            flow: 'web',
+        });
+
+        return res.redirect(returnTo ? withStatus(returnTo, { discordLink: 'relinked' }) : cfg.publicWebSuccess);
+    });
+
+    // ── /api/link-tickets/redeem ──────────────────────────────────────────────
+    // Called by link.html once the user is signed in. The ticket proves the bridge
+    // verified the Discord identity; the ID token proves the KC uid.
+    app.post('/api/link-tickets/redeem', async (req, res) => {
+        const decoded = await verifyIdToken(req);
+        if (!decoded) return res.status(401).json({ error: 'Invalid or missing ID token' });
+
+        const ticket = String(req.body?.ticket || '');
+        if (!/^[0-9a-f]{48}$/.test(ticket)) return res.status(400).json({ error: 'Invalid ticket' });
+
+        let discordId, profile, guild, grant;
+        const trail = { event: 'link', uid: decoded.uid, flow: 'legacy' };
+        try {
+            const result = await store.tickets.redeem(ticket, decoded.uid, cfg.linkTicketTtlMs);
+            if (result.error) {
+                await audit({ ...trail, result: 'error', reason: result.error });
+                return res.status(400).json({ error: result.error });
+            }
+            ({ discordId, profile, guild, grant } = result);
+            trail.discordId = discordId;
+        } catch (err) {
+            console.error('[redeem] Firestore linkTickets error:', err);
+            await audit({ ...trail, result: 'error', reason: `Firestore linkTickets error: ${err.message}` });
+            return res.status(500).json({ error: 'Internal error' });
+        }
+
+        try {
+            const conflict = await store.links.save(decoded.uid, discordId, profile);
+            if (conflict) {
+                await audit({
+                    ...trail,
+                    result: 'conflict',
+                    reason: conflict.currentUid
+                        ? `Discord account held by ${conflict.currentUid}`
+                        : `User already linked to ${conflict.previousDiscordId}`,
+                });
+                return res.status(409).json({
+                    error: conflict.currentUid
+                        ? 'This Discord account is already linked to another KC Events account'
+                        : 'Your KC Events account is already linked to a different Discord account',
+                    currentHolder: conflict.currentUid ? await describeKcUser(conflict.currentUid) : null,
+                    previousDiscordId: conflict.previousDiscordId,
+                });
+            }
+        } catch (err) {
+            console.error('[redeem] Firebase write error:', err);
+            await audit({ ...trail, result: 'error', reason: `Firebase write error: ${err.message}` });
+            return res.status(500).json({ error: 'Failed to save link' });
+        }
+        await keepGrant(discordId, grant);
+        await syncGuildRoles(decoded.uid, guild);
+        await audit({ ...trail, result: 'ok' });
+        webhooks.emit('account.linked', { uid: decoded.uid, discordId, flow: 'legacy' });
+        return res.json({ ok: true, discordId });
+    });
+
+    // ── /oauth/discord/unlink ─────────────────────────────────────────────────
+    // Site-facing: the signed-in KC user disconnects their own Discord account.
+    app.post('/oauth/discord/unlink', async (req, res) => {
+        const decoded = await verifyIdToken(req);
+        if (!decoded) return res.status(401).json({ error: 'Invalid or missing ID token' });
+
+        const trail = { event: 'unlink', uid: decoded.uid, flow: 'web' };
+        try {
+            const discordId = await store.links.unlink(decoded.uid);
+            if (!discordId) return res.status(404).json({ error: 'No Discord account linked' });
+            await store.discordTokens.remove(discordId);
+            await clearGuildRoles(decoded.uid);
+            await audit({ ...trail, discordId, result: 'ok' });
+            webhooks.emit('account.unlinked', { uid: decoded.uid, discordId, flow: 'web' });
+            return res.json({ ok: true, uid: decoded.uid, discordId });
+        } catch (err) {
+            console.error('[unlink] Firebase write error:', err);
+            await audit({ ...trail, result: 'error', reason: `Firebase write error: ${err.message}` });
+            return res.status(500).json({ error: 'Failed to remove link' });
+        }
+    });
+
+    // ── /oauth/discord/unlink/bot ─────────────────────────────────────────────
+    // Bot-facing: backs the bot's /unlink command, keyed by Discord ID.
+    app.post('/oauth/discord/unlink/bot', async (req, res) => {
+        if (!isBotRequest(req)) return res.status(401).json({ error: 'Invalid bot secret' });
+
+        const discordId = String(req.body?.discordId || '').trim();
+        if (!/^\d{17,20}$/.test(discordId)) return res.status(400).json({ error: 'Invalid discordId' });
+
+        const trail = { event: 'unlink', discordId, flow: 'bot' };
+        try {
+            const uid = await store.links.getUid(discordId);
+            if (!uid) return res.status(404).json({ error: 'Discord account is not linked' });
+            trail.uid = uid;
+
+            // The user side is only cleared if it names this account; an orphaned
+            // discordLinks entry must not take the user's real link with it
+            const unlinked = await store.links.unlink(uid, discordId);
+            // Clear the reverse link even if the user side was already gone
+            await store.links.remove(discordId);
+            await store.discordTokens.remove(discordId);
+            if (unlinked) await clearGuildRoles(uid);
+            await audit({ ...trail, result: 'ok' });
+            if (unlinked) webhooks.emit('account.unlinked', { uid, discordId, flow: 'bot' });
+            return res.json({ ok: true, uid, discordId });
+        } catch (err) {
+            console.error('[unlink/bot] Firebase write error:', err);
+            await audit({ ...trail, result: 'error', reason: `Firebase write error: ${err.message}` });
+            return res.status(500).json({ error: 'Failed to remove link' });
+        }
+    });
+
+    // ── /api/me/discord ───────────────────────────────────────────────────────
+    // Link status for the signed-in user, so the site never reads RTDB itself.
+    app.get('/api/me/discord', async (req, res) => {
+        const decoded = await verifyIdToken(req);
+        if (!decoded) return res.status(401).json({ error: 'Invalid or missing ID token' });
+
+        try {
+            const discordId = await store.links.getDiscordId(decoded.uid);
+            if (!discordId) return res.json({ linked: false });
+            const [user, link] = await Promise.all([store.users.get(decoded.uid), store.links.get(discordId)]);
+            return res.json({
+                linked: true,
+                discordId,
+                username: user?.discordUsername || null,
+                globalName: user?.discordGlobalName || null,
+                avatarURL: user?.discordAvatarURL || null,
+                linkedAt: link?.linkedAtMs ? new Date(link.linkedAtMs).toISOString() : null,
+                stale: Boolean(link?.stale || user?.discordLinkStale),
+            });
+        } catch (err) {
+            console.error('[me/discord] Read error:', err);
+            return res.status(500).json({ error: 'Internal error' });
+        }
+    });
+
+    // ── /api/discord/:discordId and /api/discord/lookup ───────────────────────
+    // Bot-facing reverse lookups: Discord ID → KC uid and display name. The batch
+    // form takes { discordIds: [...] } (up to MAX_LOOKUP_IDS) and answers with
+    // null for unlinked IDs.
+    const MAX_LOOKUP_IDS = 100;
+
+    async function lookupDiscordId(discordId) {
+        const link = await store.links.get(discordId);
+        if (!link) return null;
+        const user = await store.users.get(link.uid);
+        return { discordId, uid: link.uid, displayName: user?.displayName || user?.username || null };
+    }
+
+    app.post('/api/discord/lookup', async (req, res) => {
+        if (!isBotRequest(req)) return res.status(401).json({ error: 'Invalid bot secret' });
+
+        const ids = req.body?.discordIds;
+        if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_LOOKUP_IDS) {
+            return res.status(400).json({ error: `discordIds must be an array of 1-${MAX_LOOKUP_IDS} IDs` });
+        }
+        const discordIds = [...new Set(ids.map(id => String(id).trim()))];
+        if (!discordIds.every(id => /^\d{17,20}$/.test(id))) return res.status(400).json({ error: 'Invalid discordId' });
+
+        try {
+            const found = await Promise.all(discordIds.map(lookupDiscordId));
+            return res.json({ results: Object.fromEntries(discordIds.map((id, i) => [id, found[i]])) });
+        } catch (err) {
+            console.error('[discord/lookup] Read error:', err);
+            return res.status(500).json({ error: 'Internal error' });
+        }
+    });
+
+    app.get('/api/discord/:discordId', async (req, res) => {
+        if (!isBotRequest(req)) return res.status(401).json({ error: 'Invalid bot secret' });
+
+        const { discordId } = req.params;
+        if (!/^\d{17,20}$/.test(discordId)) return res.status(400).json({ error: 'Invalid discordId' });
+
+        try {
+            const result = await lookupDiscordId(discordId);
+            if (!result) return res.status(404).json({ error: 'Discord account is not linked' });
+            return res.json(result);
+        } catch (err) {
+            console.error('[discord/lookup] Read error:', err);
+            return res.status(500).json({ error: 'Internal error' });
+        }
+    });
+
+    // ── /api/discord/roles/sync ───────────────────────────────────────────────
+    // Bot-facing: called when a member's roles change. The bot may send the new
+    // `roles` (and `member: false` when they left); otherwise the bridge looks the
+    // member up itself with the bot token.
+    app.post('/api/discord/roles/sync', async (req, res) => {
+        if (!isBotRequest(req)) return res.status(401).json({ error: 'Invalid bot secret' });
+        if (!cfg.guildId) return res.status(404).json({ error: 'Guild sync is not enabled' });
+
+        const discordId = String(req.body?.discordId || '').trim();
+        if (!/^\d{17,20}$/.test(discordId)) return res.status(400).json({ error: 'Invalid discordId' });
+
+        try {
+            const uid = await store.links.getUid(discordId);
+            if (!uid) return res.status(404).json({ error: 'Discord account is not linked' });
+
+            const { roles, member } = req.body;
+            const guild = Array.isArray(roles)
+                ? guildSnapshot(member === false ? null : { roles: roles.map(String) })
+                : guildSnapshot(await discord.getGuildMemberAsBot(cfg.guildId, discordId));
+
+            await store.users.setGuild(uid, guild);
+            try {
+                await store.auth.mergeCustomClaims(uid, guildClaims(guild));
+            } catch (err) {
+                if (err.code !== 'auth/user-not-found') throw err;
+            }
+            return res.json({ ok: true, uid, ...guild });
+        } catch (err) {
+            console.error('[roles/sync] Error:', err);
+            return res.status(500).json({ error: 'Failed to sync roles' });
+        }
+    });
+
+    // ── /api/discord/refresh ──────────────────────────────────────────────────
+    // Runs one batch of the profile refresh job, for an external scheduler.
+    app.post('/api/discord/refresh', async (req, res) => {
+        if (!isBotRequest(req)) return res.status(401).json({ error: 'Invalid bot secret' });
+        if (!cipher) return res.status(404).json({ error: 'Token storage is not enabled' });
+
+        try {
+            return res.json({ ok: true, ...(await app.locals.refreshProfiles()) });
+        } catch (err) {
+            console.error('[refresh] Error:', err);
+            return res.status(500).json({ error: 'Profile refresh failed' });
+        }
+    });
+
+    // ── /admin/audit ──────────────────────────────────────────────────────────
+    // Admin-only view of the linkAudit trail, newest first. Filters: uid,
+    // discordId, from/to (epoch millis or ISO dates); pages via `cursor`.
+    app.get('/admin/audit', async (req, res) => {
+        if (!(await requireAdmin(req, res))) return;
+
+        const parseTime = value => {
+            if (value === undefined || value === '') return null;
+            const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+            return Number.isNaN(ms) ? NaN : ms;
+        };
+        const fromMs = parseTime(req.query.from);
+        const toMs = parseTime(req.query.to);
+        if (Number.isNaN(fromMs) || Number.isNaN(toMs)) return res.status(400).json({ error: 'Invalid from/to' });
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        try {
+            const page = await store.audit.query({
+                uid: req.query.uid || null,
+                discordId: req.query.discordId || null,
+                fromMs,
+                toMs,
+                limit,
+                cursor: req.query.cursor || null,
+            });
+            return res.json(page);
+        } catch (err) {
+            console.error('[admin/audit] Query error:', err);
+            return res.status(500).json({ error: 'Audit query failed' });
+        }
+    });
+
+    // ── /admin/link-states/sweep ──────────────────────────────────────────────
+    // Runs a sweep now instead of waiting for the scheduled one.
+    app.post('/admin/link-states/sweep', async (req, res) => {
+        if (!(await requireAdmin(req, res))) return;
+        try {
+            return res.json({ ok: true, ...(await app.locals.sweepStates()) });
+        } catch (err) {
+            console.error('[admin/link-states] Sweep error:', err);
+            return res.status(500).json({ error: 'Sweep failed' });
+        }
+    });
+
+    // ── /admin/webhooks/replay ────────────────────────────────────────────────
+    // Resends webhook deliveries that ran out of retries: body { ids } for
+    // specific deliveries, or nothing for a batch of all failed ones.
+    app.post('/admin/webhooks/replay', async (req, res) => {
+        if (!(await requireAdmin(req, res))) return;
+        if (!webhooks.enabled) return res.status(404).json({ error: 'Webhooks are not enabled' });
+
+        const ids = req.body?.ids;
+        if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string' && id))) {
+            return res.status(400).json({ error: 'ids must be an array of delivery IDs' });
+        }
+        try {
+            return res.json({ ok: true, ...(await webhooks.replay(ids)) });
+        } catch (err) {
+            console.error('[admin/webhooks] Replay error:', err);
+            return res.status(500).json({ error: 'Replay failed' });
+        }
+    });
+
+    // ── Result pages ──────────────────────────────────────────────────────────
+    // Hosted on the bridge so the site doesn't need static pages for them.
+
+    // /discord-login-success — login mode lands here with ?customToken=<token>
+    // (older bridges sent `token`), and hands the token on to the KC login page.
+    app.get('/discord-login-success', (req, res) => {
+        const token = req.query.customToken || req.query.token;
+        const loginUrl = token ? `${cfg.kcLoginUrl}?token=${encodeURIComponent(token)}` : cfg.kcLoginUrl;
+        const html = renderPage({
+            title: 'Account Linked',
+            heading: 'Account linked successfully',
+            paragraphs: [
+                'Your Discord account has been linked to your KC Events profile.',
+                'Click the button below to continue to KC Events. If you aren’t logged in ' +
+                    'automatically, simply sign in with your existing KC Events email and password.',
+            ],
+            actions: [{ href: loginUrl, label: 'Continue to KC Events' }],
+        });
+        res.set('Content-Type', 'text/html').send(html);
+    });
+
+    // /discord-login-error?reason=<code>&requestId=<id>&flow=<link|login|legacy> —
+    // explains the failure (see FAILURES in lib/result-page.cjs). JSON clients get
+    // the same { error, reason, requestId } body the failing route would have sent.
+    app.get('/discord-login-error', (req, res) => {
+        const reason = Object.hasOwn(FAILURES, req.query.reason) ? req.query.reason : null;
+        const requestId = /^[\w.-]{8,64}$/.test(req.query.requestId || '') ? req.query.requestId : null;
+        const flow = ['link', 'login', 'legacy'].includes(req.query.flow) ? req.query.flow : null;
+        if (wantsJson(req)) {
+            return res.json({
+                error: (FAILURES[reason] || FAILURES.internal).message, reason: reason || 'unknown', requestId,
+            });
+        }
+        res.set('Content-Type', 'text/html').send(renderFailure(reason, requestId, flow));
+    });
+
+    // ── Health checks ─────────────────────────────────────────────────────────
+    // /health is liveness (the process answers); /health/ready probes each
+    // backend separately so a failing one is named in the response.
+    app.get('/health', (req, res) => res.send('OK'));
+
+    app.get('/health/ready', async (req, res) => {
+        const probe = async check => {
+            const started = Date.now();
+            let timer;
+            try {
+                await Promise.race([
+                    store.health[check](),
+                    new Promise((_, reject) => {
+                        timer = setTimeout(() => reject(new Error('Timed out')), cfg.healthCheckTimeoutMs);
+                    }),
+                ]);
+                return { ok: true, latencyMs: Date.now() - started };
+            } catch (err) {
+                console.error(`[health] ${check} check failed:`, err.message);
+                return { ok: false, latencyMs: Date.now() - started, error: err.message };
+            } finally {
+                clearTimeout(timer);
+            }
+        };
+        const names = ['firestore', 'rtdb', 'credentials'];
+        const results = await Promise.all(names.map(probe));
+        const checks = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+        const ok = results.every(result => result.ok);
+        res.status(ok ? 200 : 503).json({ ok, checks });
+    });
+
+    return app;
+}
+
+module.exports = { createApp, DEFAULT_CONFIG };
@@ -0,0 +1,248 @@
+/**
+ * Reads and validates the bridge's environment.
+ *
+ *   loadConfig(env) → { app, firebase, discord, jobs, rateLimitStore, port }
+ *
+ * `app` is the config for createApp() (unset keys left undefined so
+ * DEFAULT_CONFIG applies); the rest is what index.cjs needs to build the
+ * Firebase and Discord clients and schedule jobs. Every problem is collected
+ * before failing, so one boot attempt reports all of them: the thrown error
+ * has code 'invalid-config' and a `problems` array.
+ */
+
+'use strict';
+const fs   = require('fs');
+const path = require('path');
+const { DEFAULT_CONFIG } = require('./app.cjs');
+const { createTokenCipher } = require('./token-cipher.cjs');
+
+const CALLBACK_PATH = '/oauth/discord/callback';
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+// Node clamps timer delays above 2^31-1 ms to 1 ms
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function loadConfig(env = process.env) {
+    const problems = [];
+    const get = name => (env[name] || '').trim();
+
+    function required(name) {
+        const value = get(name);
+        if (!value) problems.push(`${name} is required`);
+        return value;
+    }
+
+    // Parses an absolute http(s) URL; plain http is only accepted for local hosts.
+    function parseUrl(name, value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch {
+            problems.push(`${name} is not a valid URL: ${value}`);
+            return null;
+        }
+        if (url.protocol !== 'https:' && !(url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname))) {
+            problems.push(`${name} must use https: ${value}`);
+            return null;
+        }
+        return url;
+    }
+
+    function optionalUrl(name) {
+        const value = get(name);
+        return value && parseUrl(name, value) ? value : undefined;
+    }
+
+    // A whole number from `min` to `max`.
+    function integer(name, fallback, { min = 1, max = Infinity, unit = 'milliseconds' } = {}) {
+        const value = get(name);
+        if (!value) return fallback;
+        if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+            const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+            problems.push(`${name} must be a whole number of ${unit}, ${range}: ${value}`);
+            return fallback;
+        }
+        return Number(value);
+    }
+
+    // A job interval. Anything shorter than a second, or long enough for Node to
+    // clamp it to 1 ms, would turn setInterval into a tight loop of Firestore
+    // queries. With `canDisable`, 0 turns the job off.
+    function interval(name, fallback, { canDisable = false } = {}) {
+        if (canDisable && get(name) === '0') return 0;
+        return integer(name, fallback, { min: 1000, max: MAX_TIMER_MS });
+    }
+
+    function secret(name) {
+        const value = get(name);
+        if (value && value.length < 16) problems.push(`${name} must be at least 16 characters`);
+        return value;
+    }
+
+    // ── Discord ───────────────────────────────────────────────────────────────
+    const clientId = required('DISCORD_CLIENT_ID');
+    const clientSecret = required('DISCORD_CLIENT_SECRET');
+    const redirectUri = required('DISCORD_REDIRECT_URI');
+    const bridge = redirectUri ? parseUrl('DISCORD_REDIRECT_URI', redirectUri) : null;
+    // Discord sends users back to this URL, so it has to be this bridge's callback route
+    if (bridge && bridge.pathname !== CALLBACK_PATH) {
+        problems.push(`DISCORD_REDIRECT_URI must point at this bridge's ${CALLBACK_PATH}, not ${bridge.pathname}`);
+    }
+    if (bridge && (bridge.search || bridge.hash)) problems.push('DISCORD_REDIRECT_URI must not have a query or fragment');
+
+    const guildId = get('DISCORD_GUILD_ID');
+    if (guildId && !/^\d{17,20}$/.test(guildId)) problems.push(`DISCORD_GUILD_ID is not a Discord ID: ${guildId}`);
+    // Role re-syncs without a `roles` body fetch the member with the bot token
+    const botToken = get('DISCORD_BOT_TOKEN');
+    if (guildId && !botToken) problems.push('DISCORD_BOT_TOKEN is required when DISCORD_GUILD_ID is set');
+
+    // ── Firebase ──────────────────────────────────────────────────────────────
+    const databaseURL = required('FB_DATABASE_URL');
+    if (databaseURL) parseUrl('FB_DATABASE_URL', databaseURL);
+
+    let serviceAccount = null;
+    try {
+        if (get('FB_SERVICE_ACCOUNT_JSON')) {
+            serviceAccount = JSON.parse(get('FB_SERVICE_ACCOUNT_JSON'));
+        } else if (get('FB_SERVICE_ACCOUNT_PATH')) {
+            serviceAccount = JSON.parse(fs.readFileSync(path.resolve(get('FB_SERVICE_ACCOUNT_PATH')), 'utf8'));
+        } else {
+            problems.push('FB_SERVICE_ACCOUNT_JSON or FB_SERVICE_ACCOUNT_PATH is required');
+        }
+    } catch (err) {
+        problems.push(`Service account could not be read: ${err.message}`);
+    }
+    if (serviceAccount && !(serviceAccount.project_id && serviceAccount.client_email && serviceAccount.private_key)) {
+        problems.push('Service account is missing project_id, client_email or private_key');
+    }
+
+    // ── Where users are sent ──────────────────────────────────────────────────
+    // Success/error pages must be on an allowed origin: ALLOWED_ORIGINS, or the
+    // defaults plus this bridge. Relative URLs stay on the bridge.
+    const allowedOrigins = get('ALLOWED_ORIGINS')
+        ? get('ALLOWED_ORIGINS').split(',').map(origin => origin.trim()).filter(Boolean)
+        : undefined;
+    const origins = new Set([...(allowedOrigins || DEFAULT_CONFIG.allowedOrigins), ...(bridge ? [bridge.origin] : [])]);
+    for (const origin of allowedOrigins || []) {
+        const url = parseUrl('ALLOWED_ORIGINS', origin);
+        if (url && url.origin !== origin) problems.push(`ALLOWED_ORIGINS entries must be bare origins: ${origin}`);
+    }
+
+    const pages = {
+        publicWebSuccess: 'PUBLIC_WEB_SUCCESS_URL',
+        publicWebError: 'PUBLIC_WEB_ERROR_URL',
+        publicLoginSuccess: 'PUBLIC_LOGIN_SUCCESS_URL',
+        kcLoginUrl: 'KC_LOGIN_URL',
+        linkPageUrl: 'LINK_PAGE_URL',
+    };
+    const pageConfig = {};
+    for (const [key, name] of Object.entries(pages)) {
+        pageConfig[key] = get(name) || undefined;
+        const value = pageConfig[key] ?? DEFAULT_CONFIG[key];
+        if (!value || !bridge) continue;
+        const url = value.startsWith('/') ? new URL(value, bridge) : parseUrl(name, value);
+        if (url && !origins.has(url.origin)) problems.push(`${name} (${value}) is not on an allowed origin`);
+    }
+
+    // Pages a link state's returnTo may point at: URL prefixes on allowed origins
+    const returnToAllowlist = get('RETURN_TO_ALLOWLIST')
+        ? get('RETURN_TO_ALLOWLIST').split(',').map(entry => entry.trim()).filter(Boolean)
+        : undefined;
+    for (const entry of returnToAllowlist || []) {
+        const url = parseUrl('RETURN_TO_ALLOWLIST', entry);
+        if (!url) continue;
+        if (url.search || url.hash) problems.push(`RETURN_TO_ALLOWLIST entries must not have a query or fragment: ${entry}`);
+        if (!origins.has(url.origin)) problems.push(`RETURN_TO_ALLOWLIST entry ${entry} is not on an allowed origin`);
+    }
+
+    // ── Optional features ─────────────────────────────────────────────────────
+    const tokenEncryptionKey = get('TOKEN_ENCRYPTION_KEY');
+    if (tokenEncryptionKey) {
+        try { createTokenCipher(tokenEncryptionKey); } catch (err) { problems.push(err.message); }
+    }
+
+    const webhookUrls = get('WEBHOOK_URLS').split(',').map(url => url.trim()).filter(Boolean);
+    webhookUrls.forEach(url => parseUrl('WEBHOOK_URLS', url));
+    const webhookSecret = secret('WEBHOOK_SECRET');
+    if (webhookUrls.length && !webhookSecret) problems.push('WEBHOOK_SECRET is required when WEBHOOK_URLS is set');
+
+    const trustProxy = get('TRUST_PROXY');
+    const port = get('PORT') || 3000;
+    if (!/^\d+$/.test(port) || Number(port) < 1 || Number(port) > 65535) problems.push(`PORT must be a port number: ${port}`);
+
+    // Where rate-limit counters live: this process, or Firestore when several
+    // instances must share them
+    const rateLimitStore = get('RATE_LIMIT_STORE') || 'memory';
+    if (!['memory', 'firestore'].includes(rateLimitStore)) {
+        problems.push(`RATE_LIMIT_STORE must be memory or firestore: ${rateLimitStore}`);
+    }
+    const limit = name => integer(name, undefined, { min: 0, unit: 'requests' }); // 0 disables
+    // Without TRUST_PROXY, req.ip behind a proxy is the proxy's address and every
+    // user would share one bucket, so per-IP limits stay off until it is set
+    // (TRUST_PROXY=false when the bridge is reached directly)
+    const ipLimit = name => {
+        const value = limit(name);
+        if (trustProxy) return value;
+        if (value) problems.push(`${name} needs TRUST_PROXY (set it to false if the bridge is not behind a proxy)`);
+        return 0;
+    };
+
+    // Pending states live for the TTL and parked conflicts for another TTL after
+    // that, so a shorter retention would sweep states still in use
+    const minRetentionMs = 2 * DEFAULT_CONFIG.linkStateTtlMs;
+
+    const config = {
+        app: {
+            clientId,
+            redirectUri,
+            ...pageConfig,
+            allowedOrigins,
+            returnToAllowlist,
+            discordAuthorizeUrl: optionalUrl('DISCORD_AUTHORIZE_URL'),
+            botSharedSecret: secret('BOT_SHARED_SECRET'),
+            legacyStateSecret: secret('LEGACY_STATE_SECRET'),
+            guildId,
+            tokenEncryptionKey,
+            // express 'trust proxy': "true", a hop count, or a list of addresses
+            trustProxy: !trustProxy ? undefined
+                : ['true', 'false'].includes(trustProxy) ? trustProxy === 'true'
+                    : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy,
+            webhookUrls,
+            webhookSecret,
+            stateRetentionMs: integer('STATE_RETENTION_MS', undefined, { min: minRetentionMs }),
+            archiveSweptStates: get('ARCHIVE_SWEPT_STATES') === 'true',
+            rateLimitWindowMs: integer('RATE_LIMIT_WINDOW_MS', undefined, { min: 1000 }),
+            linkStateLimitPerIp: ipLimit('LINK_STATE_LIMIT_PER_IP'),
+            startLimitPerIp: ipLimit('START_LIMIT_PER_IP'),
+            startLimitPerState: limit('START_LIMIT_PER_STATE'),
+            callbackLimitPerIp: ipLimit('CALLBACK_LIMIT_PER_IP'),
+            callbackLimitPerState: limit('CALLBACK_LIMIT_PER_STATE'),
+            maxFailedCallbacks: integer('MAX_FAILED_CALLBACKS', undefined, { min: 0, unit: 'failed callbacks' }),
+        },
+        firebase: { serviceAccount, databaseURL },
+        discord: {
+            clientId,
+            clientSecret,
+            redirectUri,
+            botToken,
+            apiBase: optionalUrl('DISCORD_API_BASE'),
+        },
+        jobs: {
+            // 0 (the default) leaves the refresh job off
+            profileRefreshIntervalMs: interval('PROFILE_REFRESH_INTERVAL_MS', 0, { canDisable: true }),
+            stateSweepIntervalMs: interval('STATE_SWEEP_INTERVAL_MS', 60 * 60 * 1000),
+            webhookRetryIntervalMs: interval('WEBHOOK_RETRY_INTERVAL_MS', 60 * 1000),
+        },
+        rateLimitStore,
+        port: Number(port),
+    };
+
+    if (problems.length) {
+        throw Object.assign(
+            new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`),
+            { code: 'invalid-config', problems },
+        );
+    }
+    return config;
+}
+
+module.exports = { loadConfig };
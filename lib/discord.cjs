@@ -0,0 +1,169 @@
+/**
+ * Discord OAuth2 / REST client.
+ *
+ * Every call has a timeout and is retried a bounded number of times on 5xx and
+ * 429 responses (waiting out Discord's Retry-After). Failures throw an Error
+ * with a `code` from DISCORD_ERRORS plus the matching `status` and
+ * `publicMessage`, so callers can tell a revoked grant from an outage without
+ * parsing bodies.
+ *
+ * createApp() takes any object with the same methods, so tests swap in a fake
+ * instead of hitting discord.com (see also lib/fake-discord-server.cjs).
+ */
+
+'use strict';
+
+const DISCORD_API = 'https://discord.com/api';
+
+// code → HTTP status the bridge answers with, and what the browser is told.
+const DISCORD_ERRORS = {
+    invalid_grant: { status: 400, publicMessage: 'Discord authorization expired or was already used, please try again' },
+    unauthorized:  { status: 401, publicMessage: 'Discord rejected the access token, please try again' },
+    rate_limited:  { status: 503, publicMessage: 'Discord is rate limiting requests, please try again in a minute' },
+    timeout:       { status: 504, publicMessage: 'Discord did not respond in time, please try again' },
+    unavailable:   { status: 502, publicMessage: 'Discord is unavailable right now, please try again later' },
+    bad_response:  { status: 502, publicMessage: 'Unexpected response from Discord' },
+};
+
+function discordError(code, message, extra = {}) {
+    return Object.assign(new Error(message), { code, ...DISCORD_ERRORS[code], ...extra });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is in seconds (possibly fractional); rate-limit JSON bodies carry
+// `retry_after` as well, which wins when both are present.
+function retryAfterMs(res, body) {
+    const raw = body?.retry_after ?? res.headers.get('retry-after');
+    if (raw == null) return null;
+    const seconds = Number(raw);
+    return Number.isFinite(seconds) && seconds >= 0 ? Math.ceil(seconds * 1000) : null;
+}
+
+function createDiscordClient({
+    clientId,
+    clientSecret,
+    redirectUri,
+    botToken = '',
+    fetch = globalThis.fetch,
+    apiBase = DISCORD_API,
+    timeoutMs = 10_000,
+    maxRetries = 2,
+    retryDelayMs = 250,
+    maxRetryAfterMs = 5_000,
+    wait = sleep,
+}) {
+    // Performs one API call with retries and returns { status, body }. 4xx
+    // responses other than 429 are returned to the caller to interpret;
+    // anything still failing after the last attempt throws.
+    async function call(path, init = {}) {
+        for (let attempt = 0; ; attempt++) {
+            const retriesLeft = attempt < maxRetries;
+            let res;
+            try {
+                res = await fetch(`${apiBase}${path}`, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+            } catch (err) {
+                const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+                // A POST may have reached Discord (codes are single-use), so only GETs are re-sent
+                if (retriesLeft && !init.method) {
+                    await wait(retryDelayMs * 2 ** attempt);
+                    continue;
+                }
+                throw discordError(timedOut ? 'timeout' : 'unavailable', `Discord ${path} ${timedOut ? 'timed out' : 'unreachable'}`, { cause: err });
+            }
+
+            const text = await res.text();
+            let body = null;
+            try { body = text ? JSON.parse(text) : null; } catch { /* HTML error pages etc. */ }
+
+            if (res.status === 429) {
+                const delay = retryAfterMs(res, body) ?? retryDelayMs * 2 ** attempt;
+                if (retriesLeft && delay <= maxRetryAfterMs) {
+                    await wait(delay);
+                    continue;
+                }
+                throw discordError('rate_limited', `Discord ${path} rate limited`, { retryAfterMs: delay, details: body });
+            }
+            if (res.status >= 500) {
+                if (retriesLeft) {
+                    await wait(retryDelayMs * 2 ** attempt);
+                    continue;
+                }
+                throw discordError('unavailable', `Discord ${path} returned ${res.status}`, { details: body ?? text.slice(0, 200) });
+            }
+            if (body === null && res.status !== 204) {
+                throw discordError('bad_response', `Discord ${path} returned non-JSON (${res.status})`, { details: text.slice(0, 200) });
+            }
+            return { status: res.status, body };
+        }
+    }
+
+    // Token endpoint: an OAuth error body becomes invalid_grant (revoked,
+    // expired or reused code/refresh token) or bad_response.
+    async function requestToken(params) {
+        const { status, body } = await call('/oauth2/token', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ client_id: clientId, client_secret: clientSecret, ...params }).toString(),
+        });
+        if (body?.access_token) return body;
+        if (body?.error === 'invalid_grant') throw discordError('invalid_grant', 'Discord rejected the grant', { details: body });
+        throw discordError('bad_response', `Token request failed (${status})`, { details: body });
+    }
+
+    // GET helper; a 401 means the access token is no good.
+    async function get(path, authorization) {
+        const { status, body } = await call(path, { headers: { Authorization: authorization } });
+        if (status === 401) throw discordError('unauthorized', `Discord ${path} returned 401`, { details: body });
+        return { status, body };
+    }
+
+    // Member lookups: 404 means "not in the guild" and maps to null.
+    async function getMember(path, authorization) {
+        const { status, body } = await get(path, authorization);
+        if (status === 404) return null;
+        if (status >= 400) throw discordError('bad_response', `Discord guild member fetch failed (${status})`, { details: body });
+        return body;
+    }
+
+    return {
+        // Exchanges an authorization code (plus PKCE verifier) for tokens.
+        async exchangeCode(code, codeVerifier) {
+            return requestToken({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: redirectUri,
+                code_verifier: codeVerifier,
+            });
+        },
+
+        // Trades a refresh token for a fresh token pair. A revoked or expired grant
+        // throws with code 'invalid_grant'.
+        async refreshToken(refreshToken) {
+            return requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+        },
+
+        // Returns the users/@me object for an access token.
+        async getCurrentUser(accessToken) {
+            const { status, body } = await get('/users/@me', `Bearer ${accessToken}`);
+            if (status >= 400 || !body?.id) {
+                throw discordError('bad_response', `Discord user fetch failed (${status})`, { details: body });
+            }
+            return body;
+        },
+
+        // The user's member object in `guildId` (needs the guilds.members.read
+        // scope), or null if they aren't in the server.
+        async getGuildMember(accessToken, guildId) {
+            return getMember(`/users/@me/guilds/${guildId}/member`, `Bearer ${accessToken}`);
+        },
+
+        // Same lookup with the bot token, for re-syncs outside an OAuth flow.
+        async getGuildMemberAsBot(guildId, userId) {
+            if (!botToken) throw new Error('Missing Discord bot token');
+            return getMember(`/guilds/${guildId}/members/${userId}`, `Bot ${botToken}`);
+        },
+    };
+}
+
+module.exports = { createDiscordClient, discordError, DISCORD_API, DISCORD_ERRORS };
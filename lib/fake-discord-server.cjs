@@ -0,0 +1,159 @@
+/**
+ * Local stand-in for Discord's OAuth2 and REST endpoints, so the whole link
+ * flow can run without the network:
+ *
+ *   GET  /oauth2/authorize                    consents as the signed-in fake user
+ *                                             and redirects to redirect_uri?code&state
+ *   POST /api/oauth2/token                    authorization_code (PKCE checked) and
+ *                                             refresh_token grants
+ *   GET  /api/users/@me
+ *   GET  /api/users/@me/guilds/:guildId/member
+ *   GET  /api/guilds/:guildId/members/:userId (Bot token)
+ *
+ * failNext() queues faults for the next /api requests (5xx pages, 429 with
+ * Retry-After, slow responses) to exercise lib/discord.cjs retries.
+ *
+ * Standalone: `npm run fake-discord` listens on FAKE_DISCORD_PORT (default 4000);
+ * point the bridge at it with DISCORD_API_BASE and DISCORD_AUTHORIZE_URL.
+ */
+
+'use strict';
+const crypto = require('crypto');
+const express = require('express');
+
+const oauthError = (res, status, error) => res.status(status).json({ error });
+
+async function startFakeDiscordServer({
+    port = 0,
+    host = '127.0.0.1',
+    clientId = 'fake-client-id',
+    clientSecret = 'fake-client-secret',
+    user = null,
+} = {}) {
+    const codes = new Map();         // code → { user, redirectUri, codeChallenge }
+    const accessTokens = new Map();  // token → user
+    const refreshTokens = new Map(); // token → user; delete one to revoke the grant
+    const members = new Map();       // Discord user ID → guild member object
+    const faults = [];
+    let currentUser = user;
+
+    function issueTokens(owner, scope) {
+        const accessToken = crypto.randomBytes(16).toString('hex');
+        const refreshToken = crypto.randomBytes(16).toString('hex');
+        accessTokens.set(accessToken, owner);
+        refreshTokens.set(refreshToken, { owner, scope });
+        return { access_token: accessToken, token_type: 'Bearer', expires_in: 604800, refresh_token: refreshToken, scope };
+    }
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/oauth2/authorize', (req, res) => {
+        const { client_id, redirect_uri, state, code_challenge, scope } = req.query;
+        if (client_id !== clientId || !redirect_uri) return res.status(400).send('Invalid OAuth2 request');
+        const target = new URL(redirect_uri);
+        if (state) target.searchParams.set('state', state);
+        if (!currentUser) {
+            target.searchParams.set('error', 'access_denied');
+            return res.redirect(target.toString());
+        }
+        const code = crypto.randomBytes(12).toString('hex');
+        codes.set(code, { user: currentUser, redirectUri: redirect_uri, codeChallenge: code_challenge, scope });
+        target.searchParams.set('code', code);
+        res.redirect(target.toString());
+    });
+
+    // Fault injection for everything under /api
+    app.use('/api', async (req, res, next) => {
+        const fault = faults.shift();
+        if (!fault) return next();
+        if (fault.delayMs) await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+        if (!fault.status) return next();
+        // Without retryAfter, a bare 429 like the ones proxies in front of Discord send
+        if (fault.status === 429 && fault.retryAfter != null) {
+            res.set('Retry-After', String(fault.retryAfter));
+            return res.status(429).json({ message: 'You are being rate limited.', retry_after: fault.retryAfter, global: false });
+        }
+        return res.status(fault.status).type('html').send(fault.body ?? `<html><body>${fault.status}</body></html>`);
+    });
+
+    app.post('/api/oauth2/token', (req, res) => {
+        const body = req.body || {};
+        if (body.client_id !== clientId || body.client_secret !== clientSecret) {
+            return oauthError(res, 401, 'invalid_client');
+        }
+        if (body.grant_type === 'authorization_code') {
+            const entry = codes.get(body.code);
+            codes.delete(body.code);
+            const challenge = crypto.createHash('sha256').update(String(body.code_verifier)).digest('base64url');
+            if (!entry || entry.redirectUri !== body.redirect_uri || (entry.codeChallenge && challenge !== entry.codeChallenge)) {
+                return oauthError(res, 400, 'invalid_grant');
+            }
+            return res.json(issueTokens(entry.user, entry.scope || 'identify'));
+        }
+        if (body.grant_type === 'refresh_token') {
+            const grant = refreshTokens.get(body.refresh_token);
+            if (!grant) return oauthError(res, 400, 'invalid_grant');
+            refreshTokens.delete(body.refresh_token);
+            return res.json(issueTokens(grant.owner, grant.scope));
+        }
+        return oauthError(res, 400, 'unsupported_grant_type');
+    });
+
+    const unauthorized = res => res.status(401).json({ message: '401: Unauthorized', code: 0 });
+    const bearerUser = req => accessTokens.get(String(req.get('authorization')).replace(/^Bearer /, ''));
+    const member = (res, userId) => {
+        const found = members.get(userId);
+        return found ? res.json(found) : res.status(404).json({ message: 'Unknown Member', code: 10007 });
+    };
+
+    app.get('/api/users/@me', (req, res) => {
+        const owner = bearerUser(req);
+        return owner ? res.json(owner) : unauthorized(res);
+    });
+
+    app.get('/api/users/@me/guilds/:guildId/member', (req, res) => {
+        const owner = bearerUser(req);
+        return owner ? member(res, owner.id) : unauthorized(res);
+    });
+
+    app.get('/api/guilds/:guildId/members/:userId', (req, res) => {
+        if (!/^Bot \S+/.test(req.get('authorization') || '')) return unauthorized(res);
+        return member(res, req.params.userId);
+    });
+
+    const server = await new Promise(resolve => {
+        const s = app.listen(port, host, () => resolve(s));
+    });
+    const url = `http://${host}:${server.address().port}`;
+
+    return {
+        url,
+        apiBase: `${url}/api`,
+        authorizeUrl: `${url}/oauth2/authorize`,
+        clientId,
+        clientSecret,
+        members,
+        refreshTokens,
+        // The Discord account that "consents" on the next /oauth2/authorize; null denies.
+        signInAs(nextUser) { currentUser = nextUser; },
+        // Queues a fault for an upcoming /api request: { status, retryAfter, body, delayMs }.
+        failNext(...next) { faults.push(...next); },
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = { startFakeDiscordServer };
+
+if (require.main === module) {
+    startFakeDiscordServer({
+        port: Number(process.env.FAKE_DISCORD_PORT) || 4000,
+        clientId: process.env.DISCORD_CLIENT_ID || undefined,
+        clientSecret: process.env.DISCORD_CLIENT_SECRET || undefined,
+        user: { id: '100000000000000001', username: 'localtester', global_name: 'Local Tester', avatar: null },
+    }).then(fake => {
+        console.log(`Fake Discord listening on ${fake.url}`);
+        console.log(`  DISCORD_API_BASE=${fake.apiBase} DISCORD_AUTHORIZE_URL=${fake.authorizeUrl}`);
+        console.log(`  DISCORD_CLIENT_ID=${fake.clientId} DISCORD_CLIENT_SECRET=${fake.clientSecret}`);
+    });
+}
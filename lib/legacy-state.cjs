@@ -0,0 +1,53 @@
+/**
+ * Signed state tokens for the legacy bot flow.
+ *
+ * The bot no longer passes a bare Discord ID as the OAuth `state`. Instead it
+ * signs the Discord ID and an expiry with the secret it shares with the bridge:
+ *
+ *     <discordId>.<expiresAtMs>.<base64url HMAC-SHA256("<discordId>.<expiresAtMs>")>
+ *
+ * The bot can require this module directly to sign; the bridge only verifies.
+ */
+
+'use strict';
+const crypto = require('crypto');
+
+const TOKEN_RE = /^(\d{17,20})\.(\d{10,16})\.([A-Za-z0-9_-]{43})$/;
+
+function hmac(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// True when `state` has the shape of a signed legacy token (signature unchecked).
+function isLegacyState(state) {
+    return TOKEN_RE.test(String(state || ''));
+}
+
+function signLegacyState(discordId, secret, ttlMs = 15 * 60 * 1000) {
+    if (!secret) throw new Error('Missing legacy state secret');
+    const payload = `${discordId}.${Date.now() + ttlMs}`;
+    return `${payload}.${hmac(secret, payload)}`;
+}
+
+// Verifies signature and expiry. `maxTtlMs` rejects tokens whose expiry lies
+// further in the future than the bridge would ever issue.
+// Returns { discordId, expiresAt } or { error }.
+function verifyLegacyState(state, secret, maxTtlMs = 15 * 60 * 1000) {
+    const match = TOKEN_RE.exec(String(state || ''));
+    if (!match || !secret) return { error: 'Invalid state' };
+
+    const [, discordId, expiresRaw, sig] = match;
+    const expected = Buffer.from(hmac(secret, `${discordId}.${expiresRaw}`));
+    const given    = Buffer.from(sig);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { error: 'Invalid state' };
+    }
+
+    const expiresAt = Number(expiresRaw);
+    const now = Date.now();
+    if (expiresAt <= now) return { error: 'State expired' };
+    if (expiresAt - now > maxTtlMs) return { error: 'Invalid state' };
+    return { discordId, expiresAt };
+}
+
+module.exports = { isLegacyState, signLegacyState, verifyLegacyState };
@@ -0,0 +1,63 @@
+/**
+ * Browser binding for the Discord OAuth flow (PKCE + session cookie).
+ *
+ * /start generates a PKCE code_verifier, sends its S256 code_challenge to
+ * Discord and stores "<stateDigest>.<verifier>" in an HttpOnly cookie. The
+ * callback only proceeds when that cookie is present and was issued for the
+ * same state, then sends the verifier in the token exchange. A callback URL
+ * opened in another browser has no cookie, and a stolen code can't be
+ * exchanged without the verifier.
+ */
+
+'use strict';
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'kc_oauth';
+const COOKIE_PATH = '/oauth/discord';
+
+function digestState(state) {
+    return crypto.createHash('sha256').update(String(state)).digest('base64url').slice(0, 22);
+}
+
+function readCookie(req, name) {
+    for (const part of String(req.headers.cookie || '').split(';')) {
+        const idx = part.indexOf('=');
+        if (idx !== -1 && part.slice(0, idx).trim() === name) {
+            return decodeURIComponent(part.slice(idx + 1).trim());
+        }
+    }
+    return null;
+}
+
+// Starts a session for `state`: sets the cookie and returns the PKCE params to
+// add to the Discord authorize URL.
+function beginOAuthSession(req, res, state, ttlMs) {
+    const verifier  = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    res.cookie(COOKIE_NAME, `${digestState(state)}.${verifier}`, {
+        httpOnly: true,
+        // Lax, not Strict: the callback is a top-level navigation from discord.com
+        sameSite: 'lax',
+        secure: req.secure || req.get('X-Forwarded-Proto') === 'https',
+        path: COOKIE_PATH,
+        maxAge: ttlMs,
+    });
+    return { code_challenge: challenge, code_challenge_method: 'S256' };
+}
+
+// Checks the cookie against `state` and clears it.
+// Returns { codeVerifier } or { error, reason }.
+function finishOAuthSession(req, res, state) {
+    const raw = readCookie(req, COOKIE_NAME);
+    res.clearCookie(COOKIE_NAME, { path: COOKIE_PATH });
+    if (!raw) {
+        return { error: 'This link was opened in a different browser than the one that started it', reason: 'browser_mismatch' };
+    }
+    const [digest, verifier] = raw.split('.');
+    if (!verifier || digest !== digestState(state)) {
+        return { error: 'This browser started a different link request', reason: 'session_mismatch' };
+    }
+    return { codeVerifier: verifier };
+}
+
+module.exports = { beginOAuthSession, finishOAuthSession };
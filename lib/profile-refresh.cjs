@@ -0,0 +1,87 @@
+/**
+ * Background refresh of linked Discord profiles.
+ *
+ * Walks discordTokens oldest-first in batches, trades each stored refresh
+ * token for a new pair, re-reads users/@me and rewrites the profile fields on
+ * users/{uid}. Grants Discord reports as revoked (invalid_grant) are deleted
+ * and the link is marked stale; tokens whose Discord ID is no longer linked,
+ * and tokens that no longer decrypt (e.g. after a key change), are simply
+ * deleted. Any other failure pushes the token to the back of the queue for
+ * another maxAgeMs, so a set of persistently failing tokens can't hold up
+ * every batch.
+ */
+
+'use strict';
+
+// `profileOf` is discordProfile from lib/app.cjs, passed in to keep one
+// definition of the stored fields.
+// Resolves to { processed, refreshed, revoked, orphaned, undecryptable, failed }.
+async function refreshProfiles({ store, discord, cipher, profileOf, maxAgeMs, batchSize, now = Date.now }) {
+    const summary = { processed: 0, refreshed: 0, revoked: 0, orphaned: 0, undecryptable: 0, failed: 0 };
+    const due = await store.discordTokens.listDue(now() - maxAgeMs, batchSize);
+
+    for (const token of due) {
+        summary.processed++;
+        const { discordId } = token;
+        try {
+            const uid = await store.links.getUid(discordId);
+            if (!uid) {
+                await store.discordTokens.remove(discordId);
+                summary.orphaned++;
+                continue;
+            }
+
+            let refreshToken;
+            try {
+                refreshToken = cipher.decrypt(token.refreshToken);
+            } catch (err) {
+                console.warn('[refresh] Dropping undecryptable token for', discordId, err.message);
+                await store.discordTokens.remove(discordId);
+                summary.undecryptable++;
+                continue;
+            }
+
+            let tokens;
+            try {
+                tokens = await discord.refreshToken(refreshToken);
+            } catch (err) {
+                if (err.code !== 'invalid_grant') throw err;
+                await store.discordTokens.remove(discordId);
+                await store.links.markStale(uid, discordId);
+                summary.revoked++;
+                continue;
+            }
+
+            await saveGrant(store, cipher, discordId, tokens, now);
+            const discordUser = await discord.getCurrentUser(tokens.access_token);
+            await store.users.setProfile(uid, profileOf(discordUser));
+            summary.refreshed++;
+        } catch (err) {
+            console.error('[refresh] Failed for', discordId, err);
+            summary.failed++;
+            await store.discordTokens.deferRefresh(discordId, err.message)
+                .catch(e => console.error('[refresh] Failed to defer', discordId, e));
+        }
+    }
+    return summary;
+}
+
+// The discordTokens record for an OAuth token response, with the refresh token
+// encrypted, or null if Discord sent none. The callback carries it on tickets
+// and parked conflicts until the link is actually saved.
+function sealGrant(cipher, tokens, now = Date.now) {
+    if (!tokens.refresh_token) return null;
+    return {
+        refreshToken: cipher.encrypt(tokens.refresh_token),
+        scope: tokens.scope || null,
+        expiresAtMs: tokens.expires_in ? now() + tokens.expires_in * 1000 : null,
+    };
+}
+
+// Stores the refresh token from an OAuth token response, encrypted.
+async function saveGrant(store, cipher, discordId, tokens, now = Date.now) {
+    const grant = sealGrant(cipher, tokens, now);
+    if (grant) await store.discordTokens.save(discordId, grant);
+}
+
+module.exports = { refreshProfiles, sealGrant, saveGrant };
@@ -0,0 +1,56 @@
+/**
+ * Fixed-window counters for rate limiting the OAuth routes.
+ *
+ * The limiter talks to a small store interface so counters can live somewhere
+ * shared (Redis, Firestore, ...) when the bridge runs on more than one instance:
+ *
+ *   hit(key, windowMs) → { count, resetAtMs }   increments, starting a window if none is open
+ *   get(key)           → { count, resetAtMs } or null
+ *
+ * createMemoryRateLimitStore() is the single-process default.
+ */
+
+'use strict';
+
+function createMemoryRateLimitStore({ now = Date.now, sweepEvery = 1000 } = {}) {
+    const windows = new Map();
+    let hits = 0;
+
+    // Drops closed windows now and then so the map can't grow without bound
+    function sweep() {
+        const time = now();
+        for (const [key, window] of windows) {
+            if (window.resetAtMs <= time) windows.delete(key);
+        }
+    }
+
+    return {
+        async hit(key, windowMs) {
+            if (++hits % sweepEvery === 0) sweep();
+            let window = windows.get(key);
+            if (!window || window.resetAtMs <= now()) {
+                window = { count: 0, resetAtMs: now() + windowMs };
+                windows.set(key, window);
+            }
+            window.count++;
+            return { ...window };
+        },
+
+        async get(key) {
+            const window = windows.get(key);
+            return window && window.resetAtMs > now() ? { ...window } : null;
+        },
+    };
+}
+
+// Counts a request against `key`. Resolves to { allowed: true } or
+// { allowed: false, retryAfterMs } once more than `limit` hits fall in one window.
+// A limit of 0 disables the check.
+async function consume(store, key, { limit, windowMs }, now = Date.now) {
+    if (!limit) return { allowed: true };
+    const { count, resetAtMs } = await store.hit(key, windowMs);
+    if (count <= limit) return { allowed: true };
+    return { allowed: false, retryAfterMs: Math.max(resetAtMs - now(), 0) };
+}
+
+module.exports = { createMemoryRateLimitStore, consume };
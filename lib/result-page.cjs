@@ -0,0 +1,113 @@
+/**
+ * Shared rendering for the bridge's browser-facing result pages, and the
+ * table of failure reasons the OAuth routes report.
+ *
+ * Each failure has a reason code (sent as ?reason= to the error page and as
+ * `reason` in JSON responses), the HTTP status used when the error is answered
+ * directly, and an explanation for the user.
+ */
+
+'use strict';
+
+const FAILURES = {
+    denied: {
+        status: 400,
+        title: 'Authorization cancelled',
+        message: 'You cancelled the Discord authorization, so nothing was linked.',
+    },
+    invalid_state: {
+        status: 400,
+        title: 'Invalid link',
+        message: 'This link is not valid. It may have been copied incompletely.',
+    },
+    expired: {
+        status: 400,
+        title: 'Link expired',
+        message: 'This link has expired. Links are only valid for a few minutes.',
+    },
+    already_used: {
+        status: 409,
+        title: 'Link already used',
+        message: 'This link has already been used. Each link works only once.',
+    },
+    browser_mismatch: {
+        status: 403,
+        title: 'Different browser',
+        message: 'The link was finished in a different browser than the one that started it. ' +
+            'Start again and complete it in the same browser.',
+    },
+    session_mismatch: {
+        status: 403,
+        title: 'Different link request',
+        message: 'This browser started a different link request. Start again from the most recent link.',
+    },
+    identity_mismatch: {
+        status: 403,
+        title: 'Different Discord account',
+        message: 'You authorized a different Discord account than the one that asked to link. ' +
+            'Switch accounts in Discord and start again.',
+    },
+    conflict: {
+        status: 409,
+        title: 'Account already linked',
+        message: 'This Discord account or KC Events account is already linked elsewhere, and the ' +
+            'link could not be moved. Start again, or contact support if this keeps happening.',
+    },
+    rate_limited: {
+        status: 429,
+        title: 'Too many attempts',
+        message: 'There have been too many attempts from this connection or for this link. Wait a minute and start again.',
+    },
+    discord_unavailable: {
+        status: 502,
+        title: 'Discord is unavailable',
+        message: 'Discord did not respond properly. This is usually temporary; wait a minute and start again.',
+    },
+    save_failed: {
+        status: 500,
+        title: 'Link not saved',
+        message: 'Your Discord account was verified but the link could not be saved. Nothing was changed; please start again.',
+    },
+    internal: {
+        status: 500,
+        title: 'Something went wrong',
+        message: 'Something went wrong on our side. Please start again, or contact support if this keeps happening.',
+    },
+};
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[ch]);
+}
+
+// True when the client asked for JSON rather than a page (kcnow.html's fetch
+// calls, the bot).
+function wantsJson(req) {
+    return req.accepts(['html', 'json']) === 'json';
+}
+
+const BUTTON_STYLE = 'display: inline-block; padding: 0.75rem 1.5rem; background: #4f46e5; color: white; ' +
+    'border: none; border-radius: 4px; text-decoration: none; font-weight: 600; cursor: pointer;';
+
+// `paragraphs` and `extraHtml` are trusted HTML (escape user data first);
+// `actions` are { href, label } links rendered as buttons.
+function renderPage({ title, heading = title, paragraphs = [], actions = [], extraHtml = '', requestId = null }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>KC Events – ${escapeHtml(title)}</title>
+</head>
+<body style="font-family: sans-serif; background: #f4f4f8; color: #333; padding: 2rem;">
+    <h1>${escapeHtml(heading)}</h1>
+    ${paragraphs.map(line => `<p>${line}</p>`).join('\n    ')}
+    ${actions.map(action => `<p><a href="${escapeHtml(action.href)}" style="${BUTTON_STYLE}">${escapeHtml(action.label)}</a></p>`).join('\n    ')}
+    ${extraHtml}
+    ${requestId ? `<p style="color: #888; font-size: 0.85rem;">Reference: <code>${escapeHtml(requestId)}</code></p>` : ''}
+</body>
+</html>`;
+}
+
+module.exports = { FAILURES, BUTTON_STYLE, escapeHtml, wantsJson, renderPage };
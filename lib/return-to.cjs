@@ -0,0 +1,44 @@
+/**
+ * Post-link redirects back to the KC page that started the link.
+ *
+ * A link state may carry `returnTo`, an absolute URL. It is only kept if it
+ * falls under an entry of the allowlist (config.returnToAllowlist): same
+ * origin, and a path equal to or below the entry's path. Anything else is
+ * dropped and the user goes to the default pages instead, so states can't be
+ * used as an open redirect. The URL is parsed rather than prefix-matched as a
+ * string, so "https://kcevents.uk.evil.example" and "/events/../admin" tricks
+ * are normalised before the check.
+ */
+
+'use strict';
+
+const MAX_LENGTH = 2048;
+
+// Returns the normalised URL if `value` is allowed, otherwise null.
+function allowedReturnTo(value, allowlist = []) {
+    if (typeof value !== 'string' || !value || value.length > MAX_LENGTH) return null;
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return null; // relative URLs have no origin to check
+    }
+    if (url.username || url.password) return null;
+    const allowed = allowlist.some(entry => {
+        const base = new URL(entry);
+        const prefix = base.pathname.endsWith('/') ? base.pathname : `${base.pathname}/`;
+        return url.origin === base.origin && (url.pathname === base.pathname || url.pathname.startsWith(prefix));
+    });
+    return allowed ? url.toString() : null;
+}
+
+// `returnTo` with the outcome added to its query string (before any #fragment).
+function withStatus(returnTo, params) {
+    const url = new URL(returnTo);
+    for (const [key, value] of Object.entries(params)) {
+        if (value != null) url.searchParams.set(key, value);
+    }
+    return url.toString();
+}
+
+module.exports = { allowedReturnTo, withStatus };
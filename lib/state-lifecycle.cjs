@@ -0,0 +1,102 @@
+/**
+ * linkStates lifecycle: created → used (with an outcome) → swept.
+ *
+ * A state is pending until /callback (or a cancel, or the failed-callback cap)
+ * marks it used, recording usedAt and `outcome` (one of OUTCOMES). Pending
+ * states expire after linkStateTtlMs. sweepStates() deletes, or archives to
+ * linkStatesArchive, every state older than the retention period, so used and
+ * expired states no longer pile up in Firestore. Spent link tickets go with them.
+ */
+
+'use strict';
+
+const OUTCOMES = [
+    'started',    // marked used by /callback, result not known yet
+    'linked',
+    'logged_in',
+    'conflict',   // parked for the user to confirm moving the link
+    'relinked',   // conflict confirmed
+    'failed',
+    'cancelled',
+    'burned',     // too many failed callbacks
+];
+
+// linkStates.createdAt is a Firestore Timestamp for bridge-issued states, but
+// states written by the old bot server stored epoch millis. Everything above
+// the store sees millis.
+function toMillis(value) {
+    if (typeof value === 'number') return value;
+    return value?.toMillis?.() || (value?._seconds * 1000) || 0;
+}
+
+// Why a web-flow state can't be used right now, or null if it can.
+function stateError(data, ttlMs, now = Date.now()) {
+    // Only states written by /api/link-states carry a verified uid
+    if (!data || data.issuedBy !== 'bridge') return 'Unknown state';
+    if (data.used) return 'State already used';
+    if (now - data.createdAtMs > ttlMs) return 'State expired';
+    return null;
+}
+
+// Runs `sweep` over `list(limit)` batch by batch until one comes back short, so
+// a run keeps up with however much piled up since the last one. `maxBatches`
+// bounds a single run, and a batch with failures ends it (the failed documents
+// would only be listed again). Returns the number of failures.
+async function sweepBatches({ list, sweep, batchSize, maxBatches }) {
+    let failed = 0;
+    for (let batch = 0; batch < maxBatches; batch++) {
+        const stale = await list(batchSize);
+        const failedBefore = failed;
+        for (const { id } of stale) {
+            try {
+                await sweep(id);
+            } catch (err) {
+                console.error(`[states] Failed to sweep ${id}:`, err);
+                failed++;
+            }
+        }
+        if (stale.length < batchSize || failed > failedBefore) break;
+    }
+    return failed;
+}
+
+// Deletes (or archives) states created more than `retentionMs` ago, and deletes
+// link tickets older than `ticketTtlMs`: by then they are redeemed or expired,
+// and an unredeemed one still holds a sealed refresh token.
+// Retention must exceed twice the TTL so parked conflicts outlive their
+// confirmation window (lib/config.cjs refuses anything shorter).
+async function sweepStates({
+    store, retentionMs, ticketTtlMs = null, batchSize, maxBatches = 1, archive = false, now = Date.now,
+}) {
+    const summary = { swept: 0, archived: 0, tickets: 0, failed: 0 };
+    const stateCutoffMs = now() - retentionMs;
+    summary.failed += await sweepBatches({
+        list: limit => store.states.listCreatedBefore(stateCutoffMs, limit),
+        sweep: async id => {
+            if (archive) {
+                await store.states.archive(id);
+                summary.archived++;
+            } else {
+                await store.states.remove(id);
+            }
+            summary.swept++;
+        },
+        batchSize,
+        maxBatches,
+    });
+    if (ticketTtlMs) {
+        const ticketCutoffMs = now() - ticketTtlMs;
+        summary.failed += await sweepBatches({
+            list: limit => store.tickets.listCreatedBefore(ticketCutoffMs, limit),
+            sweep: async id => {
+                await store.tickets.remove(id);
+                summary.tickets++;
+            },
+            batchSize,
+            maxBatches,
+        });
+    }
+    return summary;
+}
+
+module.exports = { OUTCOMES, toMillis, stateError, sweepStates };
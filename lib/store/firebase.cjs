@@ -0,0 +1,560 @@
+/**
+ * Firebase-backed repositories used by the auth bridge.
+ *
+ * Data layout (shared with the Discord bot and the site):
+ *   Firestore linkStates/{state}   { mode, uid, returnTo, createdAt, used, usedAt?, outcome?, issuedBy, conflict? }
+ *   Firestore linkStatesArchive/{state} { ...linkStates fields, archivedAt }
+ *   Firestore linkTickets/{ticket} { discordId, profile, guild, grant, createdAt, used, uid? }
+ *   Firestore users/{uid}          { discordId, discordUsername, discordGlobalName,
+ *                                    discordAvatarURL, discordLinkStale?,
+ *                                    discordGuild: { inGuild, roles, nick, syncedAt }, ... }
+ *   Firestore discordTokens/{discordId} { refreshToken (encrypted), scope, expiresAt, refreshedAt, failures?, lastError? }
+ *   Firestore webhookDeliveries/{id} { url, type, body, attempts, status, nextAttemptAtMs, lastError, createdAtMs }
+ *   Firestore linkAudit/{autoId}   { event, result, reason, stateId, uid, discordId, flow, at, ... }
+ *   Firestore rateLimits/{sha256(key)} { count, resetAtMs, expireAt }   (RATE_LIMIT_STORE=firestore)
+ *   RTDB      users/{uid}/discordId
+ *   RTDB      discordLinks/{discordId} = { uid, linkedAt, stale? }
+ *
+ * Every repository method is async and returns plain objects; timestamps are
+ * surfaced as epoch millis (`createdAtMs`) so callers never see Firestore types.
+ * lib/store/memory.cjs implements the same interface for tests.
+ */
+
+'use strict';
+const crypto = require('crypto');
+const { toMillis } = require('../state-lifecycle.cjs');
+
+// Everything the callback and profile refresh write on users/{uid} for a link;
+// unlinking removes all of it.
+const LINK_FIELDS = ['discordId', 'discordUsername', 'discordGlobalName', 'discordAvatarURL', 'discordLinkStale'];
+
+function createFirebaseStore({ admin, fsdb, rtdb }) {
+    const { FieldValue } = admin.firestore;
+    const SERVER_TIME = admin.database.ServerValue.TIMESTAMP;
+
+    const stateRef  = id => fsdb.collection('linkStates').doc(id);
+    const ticketRef = id => fsdb.collection('linkTickets').doc(id);
+    const userRef   = uid => fsdb.collection('users').doc(uid);
+    const tokenRef  = discordId => fsdb.collection('discordTokens').doc(discordId);
+    const clearLinkFields = () => Object.fromEntries(LINK_FIELDS.map(field => [field, FieldValue.delete()]));
+
+    const states = {
+        async create(id, data) {
+            await stateRef(id).create({ ...data, createdAt: FieldValue.serverTimestamp(), used: false });
+        },
+
+        async get(id) {
+            const doc = await stateRef(id).get();
+            if (!doc.exists) return null;
+            const data = doc.data();
+            return {
+                ...data,
+                createdAtMs: toMillis(data.createdAt),
+                usedAtMs: data.usedAt ? toMillis(data.usedAt) : null,
+                conflict: data.conflict
+                    ? { ...data.conflict, createdAtMs: toMillis(data.conflict.createdAt) }
+                    : null,
+            };
+        },
+
+        // `outcome` is one of OUTCOMES in lib/state-lifecycle.cjs.
+        async markUsed(id, outcome = 'started') {
+            await stateRef(id).update({ used: true, usedAt: FieldValue.serverTimestamp(), outcome });
+        },
+
+        async setOutcome(id, outcome) {
+            await stateRef(id).update({ outcome });
+        },
+
+        // States created before `cutoffMs`, for the sweep. createdAt is a Timestamp
+        // or (old bot states) a number, and Firestore range filters match one type
+        // only, so both are queried.
+        async listCreatedBefore(cutoffMs, limit) {
+            const [stamped, legacy] = await Promise.all([
+                fsdb.collection('linkStates')
+                    .where('createdAt', '<', admin.firestore.Timestamp.fromMillis(cutoffMs)).limit(limit).get(),
+                fsdb.collection('linkStates').where('createdAt', '<', cutoffMs).limit(limit).get(),
+            ]);
+            return [...stamped.docs, ...legacy.docs]
+                .slice(0, limit)
+                .map(doc => ({ id: doc.id, createdAtMs: toMillis(doc.get('createdAt')) }));
+        },
+
+        async remove(id) {
+            await stateRef(id).delete();
+        },
+
+        // Moves the state to linkStatesArchive/{id}.
+        async archive(id) {
+            await fsdb.runTransaction(async t => {
+                const doc = await t.get(stateRef(id));
+                if (!doc.exists) return;
+                t.set(fsdb.collection('linkStatesArchive').doc(id), {
+                    ...doc.data(), archivedAt: FieldValue.serverTimestamp(),
+                });
+                t.delete(stateRef(id));
+            });
+        },
+
+        async setConflict(id, conflict) {
+            await stateRef(id).update({ conflict: { ...conflict, createdAt: FieldValue.serverTimestamp() } });
+        },
+
+        // Marks the pending conflict resolved; false if someone already did.
+        async resolveConflict(id) {
+            return fsdb.runTransaction(async t => {
+                const fresh = await t.get(stateRef(id));
+                if (fresh.get('conflict.resolvedAt')) return false;
+                t.update(stateRef(id), { 'conflict.resolvedAt': FieldValue.serverTimestamp() });
+                return true;
+            });
+        },
+    };
+
+    const tickets = {
+        async create(id, data) {
+            await ticketRef(id).set({ ...data, createdAt: FieldValue.serverTimestamp(), used: false });
+        },
+
+        // Single-use redemption inside a transaction. The sealed refresh token is
+        // dropped from the document as it is handed over.
+        // Resolves to { discordId, profile, guild, grant } or { error }.
+        async redeem(id, uid, ttlMs) {
+            return fsdb.runTransaction(async t => {
+                const doc = await t.get(ticketRef(id));
+                if (!doc.exists) return { error: 'Invalid ticket' };
+                const data = doc.data();
+                if (data.used) return { error: 'Ticket already used' };
+                if (Date.now() - toMillis(data.createdAt) > ttlMs) return { error: 'Ticket expired' };
+                t.update(ticketRef(id), { used: true, uid, grant: FieldValue.delete() });
+                return {
+                    discordId: data.discordId, profile: data.profile, guild: data.guild || null, grant: data.grant || null,
+                };
+            });
+        },
+
+        // Tickets created before `cutoffMs`, for the sweep.
+        async listCreatedBefore(cutoffMs, limit) {
+            const snap = await fsdb.collection('linkTickets')
+                .where('createdAt', '<', admin.firestore.Timestamp.fromMillis(cutoffMs)).limit(limit).get();
+            return snap.docs.map(doc => ({ id: doc.id, createdAtMs: toMillis(doc.get('createdAt')) }));
+        },
+
+        async remove(id) {
+            await ticketRef(id).delete();
+        },
+    };
+
+    const users = {
+        async get(uid) {
+            const doc = await userRef(uid).get();
+            return doc.exists ? doc.data() : null;
+        },
+
+        async create(fields) {
+            const ref = fsdb.collection('users').doc();
+            await ref.set(fields);
+            return ref.id;
+        },
+
+        // Overwrites the Discord profile fields (see discordProfile in lib/app.cjs).
+        async setProfile(uid, profile) {
+            await userRef(uid).set(profile, { merge: true });
+        },
+
+        // Records the user's Discord server membership snapshot.
+        async setGuild(uid, guild) {
+            await userRef(uid).set({
+                discordGuild: { ...guild, syncedAt: FieldValue.serverTimestamp() },
+            }, { merge: true });
+        },
+
+        // Drops the membership snapshot once the user has no Discord link.
+        async clearGuild(uid) {
+            await userRef(uid).set({ discordGuild: FieldValue.delete() }, { merge: true });
+        },
+    };
+
+    const links = {
+        // Discord ID stored for a KC user (RTDB first, Firestore fallback).
+        async getDiscordId(uid) {
+            const snap = await rtdb.ref(`users/${uid}/discordId`).get();
+            if (snap.exists()) return snap.val();
+            const doc = await userRef(uid).get();
+            return doc.exists ? doc.get('discordId') || null : null;
+        },
+
+        // KC uid holding a Discord account (discordLinks first, Firestore fallback).
+        async getUid(discordId) {
+            const link = await rtdb.ref(`discordLinks/${discordId}/uid`).get();
+            if (link.exists()) return link.val();
+            const snap = await fsdb.collection('users').where('discordId', '==', discordId).limit(1).get();
+            return snap.empty ? null : snap.docs[0].id;
+        },
+
+        // The discordLinks/{discordId} record as { uid, linkedAtMs, stale }, or null.
+        // Links that predate discordLinks only exist on users/{uid} and have no linkedAt.
+        async get(discordId) {
+            const snap = await rtdb.ref(`discordLinks/${discordId}`).get();
+            if (snap.exists()) {
+                const { uid, linkedAt, stale } = snap.val();
+                return { uid, linkedAtMs: linkedAt || null, stale: Boolean(stale) };
+            }
+            const uid = await this.getUid(discordId);
+            return uid ? { uid, linkedAtMs: null, stale: false } : null;
+        },
+
+        // Saves a new link unless it would clobber an existing one. Both sides are
+        // claimed with RTDB transactions: first users/{uid}/discordId (so two links
+        // racing for one KC user can't both pass the previousDiscordId check), then
+        // discordLinks/{discordId} (so two KC users can't both take one Discord
+        // account). If a later step fails, the earlier claims are released again,
+        // so a failed save leaves RTDB and Firestore as they were.
+        // Resolves to null on success, or to { currentUid, previousDiscordId } on conflict.
+        async save(uid, discordId, profile = {}) {
+            const userLink = rtdb.ref(`users/${uid}/discordId`);
+            const discordLink = rtdb.ref(`discordLinks/${discordId}`);
+            const holderOf = async () => {
+                const holder = (await discordLink.child('uid').get()).val();
+                return holder && holder !== uid ? holder : null;
+            };
+
+            // Links that predate RTDB only exist in Firestore, so check the fallback too
+            const known = await links.getDiscordId(uid);
+            if (known && known !== discordId) return { currentUid: await holderOf(), previousDiscordId: known };
+
+            let previousDiscordId = null;
+            const userClaim = await userLink.transaction(current => {
+                previousDiscordId = current || null;
+                if (current && current !== discordId) return; // abort — linked to another account
+                return discordId;
+            });
+            if (!userClaim.committed) return { currentUid: await holderOf(), previousDiscordId };
+
+            let currentUid = null;
+            let wasLinked = false;
+            const linkClaim = await discordLink.transaction(current => {
+                currentUid = null;
+                wasLinked = Boolean(current && current.uid === uid);
+                if (current && current.uid && current.uid !== uid) {
+                    currentUid = current.uid;
+                    return; // abort — held by another KC account
+                }
+                return { uid, linkedAt: SERVER_TIME };
+            });
+
+            // Undo only what this call claimed, and only while it is still ours
+            const release = async () => {
+                if (!previousDiscordId) await userLink.transaction(current => (current === discordId ? null : undefined));
+                if (linkClaim.committed && !wasLinked) {
+                    await discordLink.transaction(current => (current?.uid === uid ? null : undefined));
+                }
+            };
+
+            if (!linkClaim.committed) {
+                await release();
+                return { currentUid, previousDiscordId: null };
+            }
+            try {
+                await userRef(uid).set({ discordId, ...profile }, { merge: true });
+            } catch (err) {
+                await release().catch(e => console.error('[links] RTDB rollback failed:', e));
+                throw err;
+            }
+            return null;
+        },
+
+        // Moves a link after the user confirmed a conflict. The conflict is re-checked
+        // inside RTDB transactions: the user must still be linked to
+        // conflict.previousDiscordId (or nothing, for links that only exist in
+        // Firestore) and the Discord account still held by conflict.currentUid,
+        // otherwise nothing changes and the call fails with code 'link-changed'.
+        // The old holder's users/{uid}/discordId and the user's previous discordLinks
+        // entry are then cleared, and the Firestore fields change in one batch; if
+        // that batch fails, every RTDB path is put back as it was.
+        async move(uid, discordId, conflict, profile = {}) {
+            const linkChanged = () => Object.assign(
+                new Error('Link changed since conflict was detected'), { code: 'link-changed' });
+            const previousDiscordId = conflict.previousDiscordId || null;
+            const currentUid = conflict.currentUid || null;
+            const userLink = rtdb.ref(`users/${uid}/discordId`);
+            const discordLink = rtdb.ref(`discordLinks/${discordId}`);
+
+            const known = await links.getDiscordId(uid);
+            if (known !== previousDiscordId && known !== discordId) throw linkChanged();
+
+            // A mismatch writes the value back unchanged rather than aborting, so the
+            // check always runs against the server's value, not an empty local cache
+            let userBefore = null;
+            let userMoved = false;
+            await userLink.transaction(current => {
+                userBefore = current || null;
+                userMoved = Boolean(current) && current !== previousDiscordId && current !== discordId;
+                return userMoved ? current : discordId;
+            });
+            if (userMoved) throw linkChanged();
+
+            const restore = { [`users/${uid}/discordId`]: userBefore };
+            const rollback = () => rtdb.ref().update(restore)
+                .catch(e => console.error('[links] RTDB rollback failed:', e));
+
+            let linkBefore = null;
+            let holderMoved = false;
+            await discordLink.transaction(current => {
+                linkBefore = current || null;
+                const holder = current?.uid || null;
+                holderMoved = holder !== currentUid && holder !== uid;
+                return holderMoved ? current : { uid, linkedAt: SERVER_TIME };
+            });
+            if (holderMoved) {
+                await rollback();
+                throw linkChanged();
+            }
+            restore[`discordLinks/${discordId}`] = linkBefore;
+
+            try {
+                const batch = fsdb.batch();
+                batch.set(userRef(uid), { discordId, ...profile }, { merge: true });
+                if (currentUid) {
+                    let cleared = false;
+                    await rtdb.ref(`users/${currentUid}/discordId`).transaction(current => {
+                        cleared = current === discordId;
+                        return cleared ? null : current;
+                    });
+                    if (cleared) restore[`users/${currentUid}/discordId`] = discordId;
+                    batch.set(userRef(currentUid), clearLinkFields(), { merge: true });
+                }
+                if (previousDiscordId && previousDiscordId !== discordId) {
+                    let previousLink = null;
+                    await rtdb.ref(`discordLinks/${previousDiscordId}`).transaction(current => {
+                        previousLink = current?.uid === uid ? current : null;
+                        return previousLink ? null : current;
+                    });
+                    if (previousLink) restore[`discordLinks/${previousDiscordId}`] = previousLink;
+                }
+                await batch.commit();
+            } catch (err) {
+                await rollback();
+                throw err;
+            }
+        },
+
+        // Removes every record the callback writes for a KC user: the Firestore
+        // users/{uid} link fields (discordId and profile), RTDB users/{uid}/discordId
+        // and RTDB discordLinks/{discordId}.
+        // The RTDB paths are cleared in a single multi-location update; if the Firestore
+        // write then fails the RTDB values are put back so the two stores never disagree.
+        // With `expectedDiscordId`, nothing is touched unless that is the account the
+        // user is linked to (an orphaned discordLinks entry must not cost the user
+        // their real link).
+        // Resolves to the Discord ID that was unlinked, or null if nothing was.
+        async unlink(uid, expectedDiscordId = null) {
+            const [userDoc, rtdbSnap] = await Promise.all([
+                userRef(uid).get(),
+                rtdb.ref(`users/${uid}/discordId`).get(),
+            ]);
+            const discordId = rtdbSnap.val() || (userDoc.exists ? userDoc.get('discordId') : null);
+            if (!discordId) return null;
+            if (expectedDiscordId && discordId !== expectedDiscordId) return null;
+
+            const linkSnap = await rtdb.ref(`discordLinks/${discordId}`).get();
+            const removals = { [`users/${uid}/discordId`]: null };
+            // Only drop the reverse link if it still points at this user
+            if (linkSnap.exists() && linkSnap.val().uid === uid) {
+                removals[`discordLinks/${discordId}`] = null;
+            }
+
+            await rtdb.ref().update(removals);
+            try {
+                if (userDoc.exists) {
+                    await userRef(uid).update(clearLinkFields());
+                }
+            } catch (err) {
+                const restore = { [`users/${uid}/discordId`]: rtdbSnap.val() };
+                if (`discordLinks/${discordId}` in removals) restore[`discordLinks/${discordId}`] = linkSnap.val();
+                await rtdb.ref().update(restore).catch(e => console.error('[unlink] RTDB rollback failed:', e));
+                throw err;
+            }
+            return discordId;
+        },
+
+        // Flags a link whose Discord grant was revoked; the link itself stays until
+        // the user relinks or unlinks.
+        async markStale(uid, discordId) {
+            await Promise.all([
+                rtdb.ref(`discordLinks/${discordId}/stale`).set(true),
+                userRef(uid).set({ discordLinkStale: true }, { merge: true }),
+            ]);
+        },
+
+        // Drops discordLinks/{discordId} regardless of which user it points at.
+        async remove(discordId) {
+            await rtdb.ref(`discordLinks/${discordId}`).remove();
+        },
+    };
+
+    // Encrypted Discord refresh tokens, keyed by Discord ID. Values are opaque
+    // ciphertexts here; lib/token-cipher.cjs does the crypto.
+    const discordTokens = {
+        async save(discordId, { refreshToken, scope, expiresAtMs }) {
+            await tokenRef(discordId).set({
+                refreshToken,
+                scope: scope || null,
+                expiresAt: expiresAtMs || null,
+                refreshedAt: FieldValue.serverTimestamp(),
+            });
+        },
+
+        // Up to `limit` tokens last refreshed before `cutoffMs`, oldest first.
+        async listDue(cutoffMs, limit) {
+            const snap = await fsdb.collection('discordTokens')
+                .where('refreshedAt', '<', admin.firestore.Timestamp.fromMillis(cutoffMs))
+                .orderBy('refreshedAt')
+                .limit(limit)
+                .get();
+            return snap.docs.map(doc => ({ discordId: doc.id, ...doc.data() }));
+        },
+
+        // Records a failed refresh and moves the token to the back of the queue,
+        // so tokens that keep failing can't starve the rest of each batch.
+        async deferRefresh(discordId, error) {
+            await tokenRef(discordId).update({
+                refreshedAt: FieldValue.serverTimestamp(),
+                failures: FieldValue.increment(1),
+                lastError: String(error),
+            });
+        },
+
+        async remove(discordId) {
+            await tokenRef(discordId).delete();
+        },
+    };
+
+    // Outbound webhook deliveries waiting for a retry ('pending') or given up on
+    // ('failed'); see lib/webhooks.cjs.
+    const deliveryRef = id => fsdb.collection('webhookDeliveries').doc(id);
+    const webhookDeliveries = {
+        async save(id, delivery) {
+            await deliveryRef(id).set(delivery);
+        },
+
+        async get(id) {
+            const doc = await deliveryRef(id).get();
+            return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        },
+
+        async remove(id) {
+            await deliveryRef(id).delete();
+        },
+
+        // Pending deliveries due by `nowMs`, most overdue first.
+        async listDue(nowMs, limit) {
+            const snap = await fsdb.collection('webhookDeliveries')
+                .where('status', '==', 'pending')
+                .where('nextAttemptAtMs', '<=', nowMs)
+                .orderBy('nextAttemptAtMs')
+                .limit(limit)
+                .get();
+            return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        },
+
+        async listFailed(limit) {
+            const snap = await fsdb.collection('webhookDeliveries').where('status', '==', 'failed').limit(limit).get();
+            return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        },
+    };
+
+    // Append-only: entries are only ever added, never updated or deleted here.
+    // Filtering by uid or discordId together with a time range needs the
+    // matching composite index on (field, at desc).
+    const audit = {
+        async append(entry) {
+            await fsdb.collection('linkAudit').add({ ...entry, at: FieldValue.serverTimestamp() });
+        },
+
+        // Newest first. `cursor` is the ID of the last entry of the previous page.
+        async query({ uid, discordId, fromMs, toMs, limit, cursor }) {
+            let query = fsdb.collection('linkAudit');
+            if (uid) query = query.where('uid', '==', uid);
+            if (discordId) query = query.where('discordId', '==', discordId);
+            if (fromMs != null) query = query.where('at', '>=', admin.firestore.Timestamp.fromMillis(fromMs));
+            if (toMs != null) query = query.where('at', '<=', admin.firestore.Timestamp.fromMillis(toMs));
+            query = query.orderBy('at', 'desc');
+            if (cursor) {
+                const last = await fsdb.collection('linkAudit').doc(cursor).get();
+                if (last.exists) query = query.startAfter(last);
+            }
+            const snap = await query.limit(limit + 1).get();
+            const docs = snap.docs.slice(0, limit);
+            return {
+                entries: docs.map(doc => {
+                    const { at, ...data } = doc.data();
+                    return { id: doc.id, ...data, atMs: toMillis(at) };
+                }),
+                nextCursor: snap.docs.length > limit ? docs[docs.length - 1].id : null,
+            };
+        },
+    };
+
+    const auth = {
+        verifyIdToken: token => admin.auth().verifyIdToken(token),
+        createCustomToken: (uid, claims) => admin.auth().createCustomToken(uid, claims),
+
+        // setCustomUserClaims replaces the whole claims object, so merge with
+        // whatever is already there (e.g. admin flags set elsewhere).
+        async mergeCustomClaims(uid, claims) {
+            const user = await admin.auth().getUser(uid);
+            await admin.auth().setCustomUserClaims(uid, { ...user.customClaims, ...claims });
+        },
+
+        // Removes `keys` from the user's custom claims, keeping everything else.
+        async removeCustomClaims(uid, keys) {
+            const user = await admin.auth().getUser(uid);
+            const claims = { ...user.customClaims };
+            if (!keys.some(key => key in claims)) return;
+            for (const key of keys) delete claims[key];
+            await admin.auth().setCustomUserClaims(uid, claims);
+        },
+    };
+
+    // Fixed-window counters for lib/rate-limit.cjs, shared by every instance.
+    // Keys hold IPs and states, so document IDs are their hashes; a Firestore TTL
+    // policy on expireAt can delete closed windows.
+    const rateLimitRef = key => fsdb.collection('rateLimits').doc(crypto.createHash('sha256').update(key).digest('hex'));
+    const rateLimits = {
+        async hit(key, windowMs) {
+            const ref = rateLimitRef(key);
+            return fsdb.runTransaction(async t => {
+                const doc = await t.get(ref);
+                const nowMs = Date.now();
+                let { count = 0, resetAtMs = 0 } = doc.exists ? doc.data() : {};
+                if (resetAtMs <= nowMs) {
+                    count = 0;
+                    resetAtMs = nowMs + windowMs;
+                }
+                count++;
+                t.set(ref, { count, resetAtMs, expireAt: admin.firestore.Timestamp.fromMillis(resetAtMs) });
+                return { count, resetAtMs };
+            });
+        },
+
+        async get(key) {
+            const doc = await rateLimitRef(key).get();
+            if (!doc.exists || doc.get('resetAtMs') <= Date.now()) return null;
+            return { count: doc.get('count'), resetAtMs: doc.get('resetAtMs') };
+        },
+    };
+
+    // Readiness probes: each resolves if that backend answers, or rejects.
+    const health = {
+        firestore: () => fsdb.collection('linkStates').limit(1).get(),
+        rtdb: () => rtdb.ref('discordLinks').limitToFirst(1).get(),
+        // Mints an OAuth token from the service account, so a revoked or
+        // malformed key fails here rather than on the first user's write
+        credentials: () => admin.app().options.credential.getAccessToken(),
+    };
+
+    return { states, tickets, users, links, discordTokens, webhookDeliveries, audit, auth, rateLimits, health };
+}
+
+module.exports = { createFirebaseStore };
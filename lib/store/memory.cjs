@@ -0,0 +1,333 @@
+/**
+ * In-memory implementation of the repositories in lib/store/firebase.cjs.
+ *
+ * Used by the test suite and for running the bridge locally without Firebase
+ * credentials. Single-process only: "transactions" are just synchronous
+ * sections, which is enough because Node never interleaves them.
+ *
+ * `tables` exposes the raw maps so tests can seed and inspect data, and
+ * `idTokens` maps fake ID token strings to decoded tokens for auth.verifyIdToken.
+ * `claims` holds custom claims per uid; only uids present in it count as
+ * existing Auth users for mergeCustomClaims.
+ */
+
+'use strict';
+const crypto = require('crypto');
+
+function createMemoryStore({ now = Date.now } = {}) {
+    const tables = {
+        linkStates: new Map(),
+        linkStatesArchive: new Map(),
+        linkTickets: new Map(),
+        users: new Map(),          // Firestore users/{uid}
+        rtdbUserLinks: new Map(),  // RTDB users/{uid}/discordId
+        discordLinks: new Map(),   // RTDB discordLinks/{discordId}
+        discordTokens: new Map(),
+        webhookDeliveries: new Map(),
+        linkAudit: new Map(),      // insertion order = time order
+    };
+    const idTokens = new Map();
+    const claims = new Map();
+    const customTokens = [];
+
+    const clone = value => (value == null ? value : structuredClone(value));
+
+    const states = {
+        async create(id, data) {
+            if (tables.linkStates.has(id)) throw new Error(`linkStates/${id} already exists`);
+            tables.linkStates.set(id, { ...clone(data), createdAtMs: now(), used: false });
+        },
+
+        async get(id) {
+            const data = tables.linkStates.get(id);
+            return data ? { conflict: null, usedAtMs: null, ...clone(data) } : null;
+        },
+
+        async markUsed(id, outcome = 'started') {
+            Object.assign(tables.linkStates.get(id), { used: true, usedAtMs: now(), outcome });
+        },
+
+        async setOutcome(id, outcome) {
+            tables.linkStates.get(id).outcome = outcome;
+        },
+
+        async listCreatedBefore(cutoffMs, limit) {
+            return [...tables.linkStates]
+                .filter(([, data]) => data.createdAtMs < cutoffMs)
+                .slice(0, limit)
+                .map(([id, data]) => ({ id, createdAtMs: data.createdAtMs }));
+        },
+
+        async remove(id) {
+            tables.linkStates.delete(id);
+        },
+
+        async archive(id) {
+            const data = tables.linkStates.get(id);
+            if (!data) return;
+            tables.linkStatesArchive.set(id, { ...data, archivedAtMs: now() });
+            tables.linkStates.delete(id);
+        },
+
+        async setConflict(id, conflict) {
+            tables.linkStates.get(id).conflict = { ...clone(conflict), createdAtMs: now() };
+        },
+
+        async resolveConflict(id) {
+            const conflict = tables.linkStates.get(id)?.conflict;
+            if (!conflict || conflict.resolvedAt) return false;
+            conflict.resolvedAt = now();
+            return true;
+        },
+    };
+
+    const tickets = {
+        async create(id, data) {
+            tables.linkTickets.set(id, { ...clone(data), createdAtMs: now(), used: false });
+        },
+
+        async redeem(id, uid, ttlMs) {
+            const data = tables.linkTickets.get(id);
+            if (!data) return { error: 'Invalid ticket' };
+            if (data.used) return { error: 'Ticket already used' };
+            if (now() - data.createdAtMs > ttlMs) return { error: 'Ticket expired' };
+            const grant = clone(data.grant) || null;
+            Object.assign(data, { used: true, uid });
+            delete data.grant;
+            return {
+                discordId: data.discordId,
+                profile: clone(data.profile),
+                guild: clone(data.guild) || null,
+                grant,
+            };
+        },
+
+        async listCreatedBefore(cutoffMs, limit) {
+            return [...tables.linkTickets]
+                .filter(([, data]) => data.createdAtMs < cutoffMs)
+                .slice(0, limit)
+                .map(([id, data]) => ({ id, createdAtMs: data.createdAtMs }));
+        },
+
+        async remove(id) {
+            tables.linkTickets.delete(id);
+        },
+    };
+
+    const users = {
+        async get(uid) {
+            return clone(tables.users.get(uid)) || null;
+        },
+
+        async create(fields) {
+            const uid = crypto.randomBytes(10).toString('hex');
+            tables.users.set(uid, clone(fields));
+            return uid;
+        },
+
+        async setProfile(uid, profile) {
+            tables.users.set(uid, { ...tables.users.get(uid), ...clone(profile) });
+        },
+
+        async setGuild(uid, guild) {
+            tables.users.set(uid, { ...tables.users.get(uid), discordGuild: { ...clone(guild), syncedAt: now() } });
+        },
+
+        async clearGuild(uid) {
+            const user = tables.users.get(uid);
+            if (user) delete user.discordGuild;
+        },
+    };
+
+    function setUserDiscord(uid, discordId, profile) {
+        tables.users.set(uid, { ...tables.users.get(uid), discordId, ...clone(profile) });
+        tables.rtdbUserLinks.set(uid, discordId);
+    }
+
+    function clearUserDiscord(uid) {
+        const user = tables.users.get(uid) || {};
+        for (const field of ['discordId', 'discordUsername', 'discordGlobalName', 'discordAvatarURL', 'discordLinkStale']) {
+            delete user[field];
+        }
+        tables.rtdbUserLinks.delete(uid);
+    }
+
+    const links = {
+        async getDiscordId(uid) {
+            return tables.rtdbUserLinks.get(uid) || tables.users.get(uid)?.discordId || null;
+        },
+
+        async getUid(discordId) {
+            const link = tables.discordLinks.get(discordId);
+            if (link) return link.uid;
+            for (const [uid, user] of tables.users) {
+                if (user.discordId === discordId) return uid;
+            }
+            return null;
+        },
+
+        async get(discordId) {
+            const link = tables.discordLinks.get(discordId);
+            if (link) return { uid: link.uid, linkedAtMs: link.linkedAt || null, stale: Boolean(link.stale) };
+            const uid = await this.getUid(discordId);
+            return uid ? { uid, linkedAtMs: null, stale: false } : null;
+        },
+
+        // Check and write in one synchronous section, like the RTDB transactions
+        async save(uid, discordId, profile = {}) {
+            const previousDiscordId = tables.rtdbUserLinks.get(uid) || tables.users.get(uid)?.discordId || null;
+            const holder = tables.discordLinks.get(discordId)?.uid || null;
+            if (previousDiscordId && previousDiscordId !== discordId) {
+                return { currentUid: holder && holder !== uid ? holder : null, previousDiscordId };
+            }
+            if (holder && holder !== uid) return { currentUid: holder, previousDiscordId: null };
+
+            tables.discordLinks.set(discordId, { uid, linkedAt: now() });
+            setUserDiscord(uid, discordId, profile);
+            return null;
+        },
+
+        async move(uid, discordId, conflict, profile = {}) {
+            const linked = tables.rtdbUserLinks.get(uid) || tables.users.get(uid)?.discordId || null;
+            const holder = tables.discordLinks.get(discordId)?.uid || null;
+            const userMoved = linked !== (conflict.previousDiscordId || null) && linked !== discordId;
+            if (userMoved || (holder !== (conflict.currentUid || null) && holder !== uid)) {
+                throw Object.assign(new Error('Link changed since conflict was detected'), { code: 'link-changed' });
+            }
+            if (conflict.currentUid) clearUserDiscord(conflict.currentUid);
+            if (tables.discordLinks.get(conflict.previousDiscordId)?.uid === uid) {
+                tables.discordLinks.delete(conflict.previousDiscordId);
+            }
+            tables.discordLinks.set(discordId, { uid, linkedAt: now() });
+            setUserDiscord(uid, discordId, profile);
+        },
+
+        async unlink(uid, expectedDiscordId = null) {
+            const discordId = await links.getDiscordId(uid);
+            if (!discordId) return null;
+            if (expectedDiscordId && discordId !== expectedDiscordId) return null;
+            if (tables.discordLinks.get(discordId)?.uid === uid) tables.discordLinks.delete(discordId);
+            clearUserDiscord(uid);
+            return discordId;
+        },
+
+        async markStale(uid, discordId) {
+            const link = tables.discordLinks.get(discordId);
+            if (link) link.stale = true;
+            tables.users.set(uid, { ...tables.users.get(uid), discordLinkStale: true });
+        },
+
+        async remove(discordId) {
+            tables.discordLinks.delete(discordId);
+        },
+    };
+
+    const discordTokens = {
+        async save(discordId, { refreshToken, scope, expiresAtMs }) {
+            tables.discordTokens.set(discordId, {
+                refreshToken, scope: scope || null, expiresAt: expiresAtMs || null, refreshedAtMs: now(),
+            });
+        },
+
+        async listDue(cutoffMs, limit) {
+            return [...tables.discordTokens]
+                .filter(([, token]) => token.refreshedAtMs < cutoffMs)
+                .sort(([, a], [, b]) => a.refreshedAtMs - b.refreshedAtMs)
+                .slice(0, limit)
+                .map(([discordId, token]) => ({ discordId, ...clone(token) }));
+        },
+
+        async deferRefresh(discordId, error) {
+            const token = tables.discordTokens.get(discordId);
+            Object.assign(token, { refreshedAtMs: now(), failures: (token.failures || 0) + 1, lastError: String(error) });
+        },
+
+        async remove(discordId) {
+            tables.discordTokens.delete(discordId);
+        },
+    };
+
+    const webhookDeliveries = {
+        async save(id, delivery) {
+            tables.webhookDeliveries.set(id, { ...clone(delivery), id });
+        },
+
+        async get(id) {
+            return clone(tables.webhookDeliveries.get(id)) || null;
+        },
+
+        async remove(id) {
+            tables.webhookDeliveries.delete(id);
+        },
+
+        async listDue(nowMs, limit) {
+            return [...tables.webhookDeliveries.values()]
+                .filter(d => d.status === 'pending' && d.nextAttemptAtMs <= nowMs)
+                .sort((a, b) => a.nextAttemptAtMs - b.nextAttemptAtMs)
+                .slice(0, limit)
+                .map(clone);
+        },
+
+        async listFailed(limit) {
+            return [...tables.webhookDeliveries.values()].filter(d => d.status === 'failed').slice(0, limit).map(clone);
+        },
+    };
+
+    const audit = {
+        async append(entry) {
+            tables.linkAudit.set(crypto.randomBytes(10).toString('hex'), { ...clone(entry), atMs: now() });
+        },
+
+        async query({ uid, discordId, fromMs, toMs, limit, cursor }) {
+            let entries = [...tables.linkAudit]
+                .map(([id, entry]) => ({ id, ...clone(entry) }))
+                .reverse()
+                .filter(entry => (!uid || entry.uid === uid)
+                    && (!discordId || entry.discordId === discordId)
+                    && (fromMs == null || entry.atMs >= fromMs)
+                    && (toMs == null || entry.atMs <= toMs));
+            if (cursor) {
+                const index = entries.findIndex(entry => entry.id === cursor);
+                if (index !== -1) entries = entries.slice(index + 1);
+            }
+            const page = entries.slice(0, limit);
+            return { entries: page, nextCursor: entries.length > limit ? page[page.length - 1].id : null };
+        },
+    };
+
+    const auth = {
+        async verifyIdToken(token) {
+            const decoded = idTokens.get(token);
+            if (!decoded) throw Object.assign(new Error('Invalid ID token'), { code: 'auth/argument-error' });
+            return clone(decoded);
+        },
+
+        async createCustomToken(uid, extraClaims) {
+            const token = `custom-${uid}-${customTokens.length}`;
+            customTokens.push({ token, uid, claims: clone(extraClaims) });
+            return token;
+        },
+
+        async mergeCustomClaims(uid, extraClaims) {
+            if (!claims.has(uid)) throw Object.assign(new Error('No such user'), { code: 'auth/user-not-found' });
+            claims.set(uid, { ...claims.get(uid), ...clone(extraClaims) });
+        },
+
+        async removeCustomClaims(uid, keys) {
+            if (!claims.has(uid)) throw Object.assign(new Error('No such user'), { code: 'auth/user-not-found' });
+            const current = claims.get(uid);
+            for (const key of keys) delete current[key];
+        },
+    };
+
+    // Always healthy; tests mock a probe to make it fail
+    const health = {
+        async firestore() {},
+        async rtdb() {},
+        async credentials() {},
+    };
+
+    return { states, tickets, users, links, discordTokens, webhookDeliveries, audit, auth, health, tables, idTokens, customTokens, claims };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,39 @@
+/**
+ * AES-256-GCM encryption for Discord refresh tokens at rest.
+ *
+ * The key comes from TOKEN_ENCRYPTION_KEY: 32 bytes, given as 64 hex chars or
+ * base64. Ciphertexts look like "v1.<iv>.<tag>.<data>" (base64url parts), so a
+ * future key rotation can bump the version prefix.
+ */
+
+'use strict';
+const crypto = require('crypto');
+
+function parseKey(raw) {
+    const text = String(raw || '').trim();
+    const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+    if (key.length !== 32) throw new Error('TOKEN_ENCRYPTION_KEY must be 32 bytes (64 hex chars or base64)');
+    return key;
+}
+
+function createTokenCipher(rawKey) {
+    const key = parseKey(rawKey);
+    return {
+        encrypt(plaintext) {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+            return ['v1', iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+        },
+
+        decrypt(ciphertext) {
+            const [version, iv, tag, data] = String(ciphertext).split('.');
+            if (version !== 'v1' || !data) throw new Error('Unrecognised token ciphertext');
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+            return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+        },
+    };
+}
+
+module.exports = { createTokenCipher };
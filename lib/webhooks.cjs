@@ -0,0 +1,127 @@
+/**
+ * Outbound webhooks for link changes (account.linked, account.relinked,
+ * account.unlinked).
+ *
+ * Each event is POSTed as JSON to every configured URL with:
+ *
+ *   X-KC-Event:      <event type>
+ *   X-KC-Delivery:   <delivery ID, stable across retries>
+ *   X-KC-Timestamp:  <unix seconds of this attempt>
+ *   X-KC-Signature:  sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+ *
+ * Receivers should recompute the signature with signWebhook() (or its
+ * equivalent) and reject stale timestamps. A delivery that fails is stored in
+ * webhookDeliveries and retried with exponential backoff by retryDue(); after
+ * maxAttempts it is marked failed and only replay() sends it again.
+ */
+
+'use strict';
+const crypto = require('crypto');
+
+function signWebhook(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWebhookDispatcher({
+    store,
+    urls = [],
+    secret,
+    fetch = globalThis.fetch,
+    now = Date.now,
+    timeoutMs = 5_000,
+    maxAttempts = 8,
+    baseDelayMs = 30_000,
+    batchSize = 50,
+}) {
+    const enabled = urls.length > 0 && Boolean(secret);
+    const inFlight = new Set();
+
+    async function post(delivery) {
+        const timestamp = Math.floor(now() / 1000);
+        const res = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-KC-Event': delivery.type,
+                'X-KC-Delivery': delivery.id,
+                'X-KC-Timestamp': String(timestamp),
+                'X-KC-Signature': signWebhook(secret, timestamp, delivery.body),
+            },
+            body: delivery.body,
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    }
+
+    // One attempt. Success removes a `queued` delivery from the queue; failure
+    // (re)queues it with the next backoff, or marks it failed for good.
+    async function attempt(delivery, queued) {
+        try {
+            await post(delivery);
+            if (queued) await store.webhookDeliveries.remove(delivery.id);
+            return 'delivered';
+        } catch (err) {
+            const attempts = delivery.attempts + 1;
+            const dead = attempts >= maxAttempts;
+            console.warn(`[webhooks] ${delivery.type} to ${delivery.url} failed (attempt ${attempts}):`, err.message);
+            await store.webhookDeliveries.save(delivery.id, {
+                ...delivery,
+                attempts,
+                status: dead ? 'failed' : 'pending',
+                nextAttemptAtMs: dead ? null : now() + baseDelayMs * 2 ** (attempts - 1),
+                lastError: err.message,
+            });
+            return dead ? 'dead' : 'pending';
+        }
+    }
+
+    function track(promise) {
+        inFlight.add(promise);
+        return promise.finally(() => inFlight.delete(promise));
+    }
+
+    async function runAll(deliveries, queued) {
+        const summary = { delivered: 0, pending: 0, dead: 0 };
+        for (const delivery of deliveries) summary[await attempt(delivery, queued)]++;
+        return summary;
+    }
+
+    return {
+        enabled,
+
+        // Sends `type` with `data` to every URL. Resolves once each URL has had its
+        // first attempt; never rejects.
+        emit(type, data) {
+            if (!enabled) return Promise.resolve();
+            const event = { id: crypto.randomUUID(), type, createdAt: new Date(now()).toISOString(), data };
+            const body = JSON.stringify(event);
+            const deliveries = urls.map((url, i) => ({
+                id: `${event.id}-${i}`, url, type, body, attempts: 0, createdAtMs: now(),
+            }));
+            return track(runAll(deliveries, false).catch(err => console.error('[webhooks] Emit failed:', err)));
+        },
+
+        // Retries one batch of queued deliveries whose backoff has passed.
+        async retryDue() {
+            return runAll(await store.webhookDeliveries.listDue(now(), batchSize), true);
+        },
+
+        // Sends failed deliveries again (the given IDs, or a batch of all failed
+        // ones), starting a fresh backoff cycle for any that fail again.
+        async replay(ids) {
+            const deliveries = ids
+                ? (await Promise.all(ids.map(id => store.webhookDeliveries.get(id)))).filter(Boolean)
+                : await store.webhookDeliveries.listFailed(batchSize);
+            const summary = await runAll(deliveries.map(delivery => ({ ...delivery, attempts: 0 })), true);
+            return { ...summary, missing: ids ? ids.length - deliveries.length : 0 };
+        },
+
+        // Resolves when first attempts started by emit() have finished (for tests
+        // and graceful shutdown).
+        async idle() {
+            await Promise.all([...inFlight]);
+        },
+    };
+}
+
+module.exports = { createWebhookDispatcher, signWebhook };
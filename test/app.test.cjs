@@ -0,0 +1,325 @@
+'use strict';
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { signLegacyState } = require('../lib/legacy-state.cjs');
+const { createMemoryStore } = require('../lib/store/memory.cjs');
+const { startBridge, failureReason, DISCORD_ID, OTHER_DISCORD_ID } = require('./helpers.cjs');
+
+const discordUser = { id: DISCORD_ID, username: 'kcfan', avatar: 'abc123' };
+
+describe('auth bridge', () => {
+    let bridge;
+    before(async () => { bridge = await startBridge(); });
+    after(() => bridge.close());
+    beforeEach(() => {
+        for (const table of Object.values(bridge.store.tables)) table.clear();
+    });
+
+    describe('POST /api/link-states', () => {
+        it('requires an ID token for link mode', async () => {
+            const { res } = await bridge.createLinkState(null);
+            assert.equal(res.status, 401);
+        });
+
+        it('binds the state to the verified uid and returns a start URL', async () => {
+            const { res, body } = await bridge.createLinkState('kc-1');
+            assert.equal(res.status, 201);
+            assert.equal(body.mode, 'link');
+            assert.equal(new URL(body.url).pathname, '/oauth/discord/start');
+            const stored = await bridge.store.states.get(body.state);
+            assert.equal(stored.uid, 'kc-1');
+            assert.equal(stored.issuedBy, 'bridge');
+        });
+
+        it('rejects unknown modes', async () => {
+            const { res } = await bridge.createLinkState('kc-1', { mode: 'admin' });
+            assert.equal(res.status, 400);
+        });
+
+        it('returns 500 when the state cannot be written', async t => {
+            t.mock.method(bridge.store.states, 'create', async () => { throw new Error('unavailable'); });
+            const { res } = await bridge.createLinkState('kc-1');
+            assert.equal(res.status, 500);
+        });
+    });
+
+    describe('GET /oauth/discord/start', () => {
+        it('rejects unknown states', async () => {
+            const { res } = await bridge.start('deadbeef');
+            assert.equal(failureReason(res), 'invalid_state');
+        });
+
+        it('rejects states the bridge did not issue', async () => {
+            bridge.store.tables.linkStates.set('forged', { uid: 'kc-1', createdAtMs: Date.now(), used: false });
+            const { res } = await bridge.start('forged');
+            assert.equal(failureReason(res), 'invalid_state');
+        });
+
+        it('rejects expired states', async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            bridge.store.tables.linkStates.get(body.state).createdAtMs -= 16 * 60 * 1000;
+            const { res } = await bridge.start(body.state);
+            assert.equal(failureReason(res), 'expired');
+        });
+
+        it('rejects used states', async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            await bridge.completeFlow(body.state, discordUser);
+            const { res } = await bridge.start(body.state);
+            assert.equal(failureReason(res), 'already_used');
+        });
+
+        it('rejects bare Discord IDs', async () => {
+            const { res } = await bridge.start(DISCORD_ID);
+            assert.equal(failureReason(res), 'invalid_state');
+        });
+
+        it('sets the session cookie and a PKCE challenge', async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            const { res, cookie, location } = await bridge.start(body.state);
+            assert.equal(res.status, 302);
+            assert.match(cookie, /^kc_oauth=/);
+            assert.match(res.headers.get('set-cookie'), /HttpOnly/);
+            assert.equal(new URL(location).searchParams.get('code_challenge_method'), 'S256');
+        });
+    });
+
+    describe('web flow callback', () => {
+        it('links the Discord account and redirects to the site', async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            const res = await bridge.completeFlow(body.state, discordUser);
+            assert.equal(res.status, 302);
+            assert.equal(res.headers.get('location'), 'https://kcevents.test/#kcnow');
+
+            assert.equal(await bridge.store.links.getUid(DISCORD_ID), 'kc-1');
+            assert.equal(await bridge.store.links.getDiscordId('kc-1'), DISCORD_ID);
+            const user = await bridge.store.users.get('kc-1');
+            assert.equal(user.discordUsername, 'kcfan');
+        });
+
+        it('rejects a callback for a state that was used in the meantime', async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            const started = await bridge.start(body.state);
+            await bridge.store.states.markUsed(body.state);
+            bridge.discord.authorize('code-1', discordUser, started.challenge);
+            const res = await bridge.request(`/oauth/discord/callback?code=code-1&state=${body.state}`, {
+                headers: { Cookie: started.cookie },
+            });
+            assert.equal(failureReason(res), 'already_used');
+        });
+
+        it('sends callbacks from another browser to the error page', async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            const started = await bridge.start(body.state);
+            bridge.discord.authorize('code-2', discordUser, started.challenge);
+            const res = await bridge.request(`/oauth/discord/callback?code=code-2&state=${body.state}`);
+            assert.equal(failureReason(res), 'browser_mismatch');
+        });
+
+        it('reports a failed link write', async t => {
+            t.mock.method(bridge.store.links, 'save', async () => { throw new Error('rtdb down'); });
+            const { body } = await bridge.createLinkState('kc-1');
+            const res = await bridge.completeFlow(body.state, discordUser);
+            assert.equal(failureReason(res), 'save_failed');
+        });
+
+        it('parks a conflict and moves the link once confirmed', async () => {
+            await bridge.store.links.save('kc-old', DISCORD_ID, { discordUsername: 'kcfan', discordLinkStale: true });
+            const { body } = await bridge.createLinkState('kc-1');
+            const res = await bridge.completeFlow(body.state, discordUser);
+            assert.equal(res.status, 302);
+            const conflictUrl = new URL(res.headers.get('location'), bridge.baseUrl);
+            assert.equal(conflictUrl.pathname, '/oauth/discord/conflict');
+            assert.equal(await bridge.store.links.getUid(DISCORD_ID), 'kc-old');
+
+            const page = await bridge.request(conflictUrl.pathname + conflictUrl.search);
+            assert.equal(page.status, 200);
+
+            const confirm = await bridge.request('/oauth/discord/conflict/confirm', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: conflictUrl.searchParams.toString(),
+            });
+            assert.equal(confirm.status, 302);
+            assert.equal(await bridge.store.links.getUid(DISCORD_ID), 'kc-1');
+            assert.equal(await bridge.store.links.getDiscordId('kc-old'), null);
+            assert.deepEqual(await bridge.store.users.get('kc-old'), {});
+        });
+        it('refuses to move a link when the user relinked while the conflict was parked', async () => {
+            const THIRD_DISCORD_ID = '111111111111111111';
+            await bridge.store.links.save('kc-old', DISCORD_ID);
+            await bridge.store.links.save('kc-1', OTHER_DISCORD_ID);
+            const { body } = await bridge.createLinkState('kc-1');
+            const res = await bridge.completeFlow(body.state, discordUser);
+            const conflictUrl = new URL(res.headers.get('location'), bridge.baseUrl);
+
+            // Another tab unlinks and links a different account
+            await bridge.store.links.unlink('kc-1');
+            await bridge.store.links.save('kc-1', THIRD_DISCORD_ID);
+
+            const confirm = await bridge.request('/oauth/discord/conflict/confirm', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: conflictUrl.searchParams.toString(),
+            });
+            assert.equal(failureReason(confirm), 'conflict');
+            assert.equal(await bridge.store.links.getUid(DISCORD_ID), 'kc-old');
+            assert.equal(await bridge.store.links.getDiscordId('kc-1'), THIRD_DISCORD_ID);
+            assert.equal(await bridge.store.links.getUid(THIRD_DISCORD_ID), 'kc-1');
+        });
+    });
+
+    describe('login mode', () => {
+        it('creates a KC user and mints a custom token', async () => {
+            const { body } = await bridge.createLinkState(null, { mode: 'login' });
+            const res = await bridge.completeFlow(body.state, discordUser);
+            assert.equal(res.status, 302);
+            const location = new URL(res.headers.get('location'));
+            assert.equal(location.pathname, '/discord-login-success');
+
+            const [minted] = bridge.store.customTokens;
+            assert.equal(location.searchParams.get('customToken'), minted.token);
+            assert.deepEqual(minted.claims, { discordId: DISCORD_ID });
+            assert.equal(await bridge.store.links.getUid(DISCORD_ID), minted.uid);
+        });
+
+        it('signs an already linked Discord user into their existing account', async () => {
+            await bridge.store.links.save('kc-1', DISCORD_ID);
+            const { body } = await bridge.createLinkState(null, { mode: 'login' });
+            await bridge.completeFlow(body.state, discordUser);
+            assert.equal(bridge.store.customTokens.at(-1).uid, 'kc-1');
+        });
+    });
+
+    describe('legacy bot flow', () => {
+        it('hands link.html a ticket that links the signed-in user once', async () => {
+            const state = signLegacyState(DISCORD_ID, 'legacy-secret');
+            const res = await bridge.completeFlow(state, discordUser);
+            assert.equal(res.status, 302);
+            const ticket = new URL(res.headers.get('location')).searchParams.get('ticket');
+            assert.match(ticket, /^[0-9a-f]{48}$/);
+
+            const redeem = () => bridge.request('/api/link-tickets/redeem', {
+                method: 'POST',
+                headers: { ...bridge.signIn('kc-1'), 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ticket }),
+            });
+            const first = await redeem();
+            assert.equal(first.status, 200);
+            assert.equal(await bridge.store.links.getUid(DISCORD_ID), 'kc-1');
+
+            const second = await redeem();
+            assert.equal(second.status, 400);
+            assert.equal((await second.json()).error, 'Ticket already used');
+        });
+
+        it('rejects tokens signed with the wrong secret', async () => {
+            const { res } = await bridge.start(signLegacyState(DISCORD_ID, 'wrong'));
+            assert.equal(failureReason(res), 'invalid_state');
+        });
+
+        it('rejects a Discord identity that does not match the token', async () => {
+            const state = signLegacyState(DISCORD_ID, 'legacy-secret');
+            const res = await bridge.completeFlow(state, { ...discordUser, id: OTHER_DISCORD_ID });
+            assert.equal(failureReason(res), 'identity_mismatch');
+            assert.equal(bridge.store.tables.linkTickets.size, 0);
+        });
+    });
+
+    describe('failure reporting', () => {
+        it('answers JSON clients with the reason and request ID', async () => {
+            const res = await bridge.request('/oauth/discord/start?state=deadbeef', {
+                headers: { Accept: 'application/json' },
+            });
+            assert.equal(res.status, 400);
+            const body = await res.json();
+            assert.deepEqual(body, { error: 'Unknown state', reason: 'invalid_state', requestId: res.headers.get('x-request-id') });
+        });
+
+        it('reports a cancelled Discord consent as denied', async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            const started = await bridge.start(body.state);
+            const res = await bridge.request(`/oauth/discord/callback?error=access_denied&state=${body.state}`, {
+                headers: { Cookie: started.cookie },
+            });
+            assert.equal(failureReason(res), 'denied');
+            const location = new URL(res.headers.get('location'));
+            assert.equal(location.searchParams.get('requestId'), res.headers.get('x-request-id'));
+        });
+
+        it('explains the reason on the error page with a start-again action', async () => {
+            const res = await bridge.request('/discord-login-error?reason=expired&requestId=req-12345678&flow=login');
+            const html = await res.text();
+            assert.match(html, /Link expired/);
+            assert.match(html, /req-12345678/);
+            assert.match(html, /href="https:\/\/kcevents\.uk\/#loginpage"[^>]*>Sign in again/);
+        });
+
+        it('escapes what it echoes and falls back for unknown reasons', async () => {
+            const res = await bridge.request('/discord-login-error?reason=%3Cscript%3E&requestId=%3Cscript%3E');
+            const html = await res.text();
+            assert.doesNotMatch(html, /<script>/);
+            assert.match(html, /Start again/);
+        });
+    });
+
+    describe('unlink', () => {
+        it('lets a signed-in user remove their own link', async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            await bridge.completeFlow(body.state, discordUser);
+            const res = await bridge.request('/oauth/discord/unlink', {
+                method: 'POST',
+                headers: bridge.signIn('kc-1'),
+            });
+            assert.equal(res.status, 200);
+            assert.equal(await bridge.store.links.getUid(DISCORD_ID), null);
+            // The profile fields the callback wrote go too
+            assert.deepEqual(await bridge.store.users.get('kc-1'), {});
+        });
+
+        it('lets the bot unlink by Discord ID with the shared secret', async () => {
+            await bridge.store.links.save('kc-1', DISCORD_ID);
+            const unlink = secret => bridge.request('/oauth/discord/unlink/bot', {
+                method: 'POST',
+                headers: { 'X-Bot-Secret': secret, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ discordId: DISCORD_ID }),
+            });
+            assert.equal((await unlink('nope')).status, 401);
+            assert.equal((await unlink('bot-secret')).status, 200);
+            assert.equal(await bridge.store.links.getDiscordId('kc-1'), null);
+        });
+
+        it('only drops an orphaned reverse link, not the user\'s real link', async () => {
+            await bridge.store.links.save('kc-1', OTHER_DISCORD_ID);
+            bridge.store.tables.discordLinks.set(DISCORD_ID, { uid: 'kc-1', linkedAt: 1 });
+            bridge.store.tables.discordTokens.set(OTHER_DISCORD_ID, { refreshToken: 'x', refreshedAtMs: 0 });
+
+            const res = await bridge.request('/oauth/discord/unlink/bot', {
+                method: 'POST',
+                headers: { 'X-Bot-Secret': 'bot-secret', 'Content-Type': 'application/json' },
+                body: JSON.stringify({ discordId: DISCORD_ID }),
+            });
+            assert.equal(res.status, 200);
+            assert.equal((await res.json()).discordId, DISCORD_ID);
+            assert.equal(bridge.store.tables.discordLinks.has(DISCORD_ID), false);
+            assert.equal(await bridge.store.links.getDiscordId('kc-1'), OTHER_DISCORD_ID);
+            assert.equal(await bridge.store.links.getUid(OTHER_DISCORD_ID), 'kc-1');
+            assert.ok(bridge.store.tables.discordTokens.has(OTHER_DISCORD_ID));
+        });
+    });
+});
+
+describe('memory store', () => {
+    it('refuses to let two users claim one Discord account', async () => {
+        const store = createMemoryStore();
+        assert.equal(await store.links.save('kc-1', DISCORD_ID), null);
+        assert.deepEqual(await store.links.save('kc-2', DISCORD_ID), { currentUid: 'kc-1', previousDiscordId: null });
+    });
+
+    it('lets only one of two concurrent links for one user through', async () => {
+        const store = createMemoryStore();
+        const results = await Promise.all([store.links.save('kc-1', DISCORD_ID), store.links.save('kc-1', OTHER_DISCORD_ID)]);
+        assert.deepEqual(results, [null, { currentUid: null, previousDiscordId: DISCORD_ID }]);
+        assert.deepEqual([...store.tables.discordLinks.keys()], [DISCORD_ID]);
+    });
+});
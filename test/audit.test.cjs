@@ -0,0 +1,94 @@
+'use strict';
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBridge, DISCORD_ID } = require('./helpers.cjs');
+
+const discordUser = { id: DISCORD_ID, username: 'kcfan', avatar: 'abc123' };
+
+describe('link audit log', () => {
+    let bridge;
+    before(async () => { bridge = await startBridge(); });
+    after(() => bridge.close());
+    beforeEach(() => {
+        for (const table of Object.values(bridge.store.tables)) table.clear();
+        bridge.store.idTokens.set('admin-token', { uid: 'kc-admin', admin: true });
+    });
+
+    const entries = () => [...bridge.store.tables.linkAudit.values()];
+    const queryAudit = async (search, token = 'admin-token') => {
+        const res = await bridge.request(`/admin/audit${search}`, {
+            headers: { Authorization: `Bearer ${token}` },
+        });
+        return { res, body: await res.json() };
+    };
+
+    it('records each step of a successful web link', async () => {
+        const { body } = await bridge.createLinkState('kc-1');
+        await bridge.completeFlow(body.state, discordUser);
+
+        assert.deepEqual(entries().map(e => `${e.event}:${e.result}`), ['state.created:ok', 'start:ok', 'link:ok']);
+        const link = entries().at(-1);
+        assert.equal(link.stateId, body.state);
+        assert.equal(link.uid, 'kc-1');
+        assert.equal(link.discordId, DISCORD_ID);
+        assert.equal(link.flow, 'web');
+    });
+
+    it('records why a start was refused', async () => {
+        await bridge.start('deadbeef');
+        const [entry] = entries();
+        assert.equal(entry.event, 'start');
+        assert.equal(entry.result, 'error');
+        assert.equal(entry.reason, 'Unknown state');
+        assert.equal(entry.stateId, 'deadbeef');
+    });
+
+    it('records unlinks with the unlinking flow', async () => {
+        await bridge.store.links.save('kc-1', DISCORD_ID);
+        await bridge.request('/oauth/discord/unlink', { method: 'POST', headers: bridge.signIn('kc-1') });
+        const [entry] = entries();
+        assert.equal(entry.event, 'unlink');
+        assert.equal(entry.flow, 'web');
+        assert.equal(entry.discordId, DISCORD_ID);
+    });
+
+    it('does not fail the request when the audit write fails', async t => {
+        t.mock.method(bridge.store.audit, 'append', async () => { throw new Error('unavailable'); });
+        t.mock.method(console, 'error', () => {});
+        const { res } = await bridge.createLinkState('kc-1');
+        assert.equal(res.status, 201);
+    });
+
+    describe('GET /admin/audit', () => {
+        it('is closed to signed-in users without the admin claim', async () => {
+            bridge.signIn('kc-1');
+            const { res } = await queryAudit('', 'id-token-kc-1');
+            assert.equal(res.status, 403);
+            assert.equal((await bridge.request('/admin/audit')).status, 401);
+        });
+
+        it('filters by uid and pages newest first', async () => {
+            for (const uid of ['kc-1', 'kc-2', 'kc-1', 'kc-1']) await bridge.createLinkState(uid);
+
+            const first = await queryAudit('?uid=kc-1&limit=2');
+            assert.equal(first.res.status, 200);
+            assert.equal(first.body.entries.length, 2);
+            assert.ok(first.body.entries.every(e => e.uid === 'kc-1'));
+            assert.ok(first.body.nextCursor);
+
+            const second = await queryAudit(`?uid=kc-1&limit=2&cursor=${first.body.nextCursor}`);
+            assert.equal(second.body.entries.length, 1);
+            assert.equal(second.body.nextCursor, null);
+            assert.equal(second.body.entries[0].id, [...bridge.store.tables.linkAudit.keys()][0]);
+        });
+
+        it('filters by time range and rejects malformed times', async () => {
+            await bridge.createLinkState('kc-1');
+            const future = new Date(Date.now() + 60_000).toISOString();
+            const { body } = await queryAudit(`?from=${encodeURIComponent(future)}`);
+            assert.deepEqual(body.entries, []);
+            const { res } = await queryAudit('?to=yesterday');
+            assert.equal(res.status, 400);
+        });
+    });
+});
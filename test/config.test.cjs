@@ -0,0 +1,205 @@
+'use strict';
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadConfig } = require('../lib/config.cjs');
+const { startBridge } = require('./helpers.cjs');
+
+const ENV = {
+    DISCORD_CLIENT_ID: '123456789012345678',
+    DISCORD_CLIENT_SECRET: 'client-secret',
+    DISCORD_REDIRECT_URI: 'https://auth.kcevents.uk/oauth/discord/callback',
+    FB_DATABASE_URL: 'https://kc-events.firebaseio.com',
+    FB_SERVICE_ACCOUNT_JSON: JSON.stringify({
+        project_id: 'kc-events', client_email: 'bridge@kc-events.iam.gserviceaccount.com', private_key: 'key',
+    }),
+};
+
+function problemsFor(overrides) {
+    try {
+        loadConfig({ ...ENV, ...overrides });
+    } catch (err) {
+        assert.equal(err.code, 'invalid-config');
+        return err.problems;
+    }
+    return [];
+}
+
+describe('loadConfig', () => {
+    it('accepts a minimal environment and leaves defaults to createApp', () => {
+        const { app, discord, firebase, jobs, port } = loadConfig(ENV);
+        assert.equal(app.clientId, ENV.DISCORD_CLIENT_ID);
+        assert.equal(app.publicWebSuccess, undefined);
+        assert.deepEqual(app.webhookUrls, []);
+        assert.equal(discord.clientSecret, 'client-secret');
+        assert.equal(firebase.serviceAccount.project_id, 'kc-events');
+        assert.equal(jobs.stateSweepIntervalMs, 60 * 60 * 1000);
+        assert.equal(port, 3000);
+    });
+
+    it('parses TRUST_PROXY, durations and lists', () => {
+        const { app, jobs } = loadConfig({
+            ...ENV,
+            TRUST_PROXY: '2',
+            STATE_RETENTION_MS: '3600000',
+            WEBHOOK_RETRY_INTERVAL_MS: '5000',
+            WEBHOOK_URLS: 'https://hooks.kcevents.uk/a, https://hooks.kcevents.uk/b',
+            WEBHOOK_SECRET: 'a-long-enough-secret',
+        });
+        assert.equal(app.trustProxy, 2);
+        assert.equal(app.stateRetentionMs, 3600000);
+        assert.equal(jobs.webhookRetryIntervalMs, 5000);
+        assert.deepEqual(app.webhookUrls, ['https://hooks.kcevents.uk/a', 'https://hooks.kcevents.uk/b']);
+    });
+
+    it('reports every problem at once', () => {
+        let error;
+        try {
+            loadConfig({});
+        } catch (err) {
+            error = err;
+        }
+        assert.equal(error.code, 'invalid-config');
+        for (const name of ['DISCORD_CLIENT_ID', 'DISCORD_CLIENT_SECRET', 'DISCORD_REDIRECT_URI', 'FB_DATABASE_URL']) {
+            assert.ok(error.problems.includes(`${name} is required`), name);
+        }
+        assert.ok(error.problems.some(problem => problem.includes('FB_SERVICE_ACCOUNT_JSON')));
+        assert.match(error.message, /^Invalid configuration:\n {2}- /);
+    });
+
+    it('requires the redirect URI to be this bridge\'s callback', () => {
+        assert.match(problemsFor({ DISCORD_REDIRECT_URI: 'https://auth.kcevents.uk/callback' })[0], /\/oauth\/discord\/callback/);
+        assert.match(problemsFor({ DISCORD_REDIRECT_URI: 'not a url' })[0], /not a valid URL/);
+        assert.match(problemsFor({ DISCORD_REDIRECT_URI: 'http://auth.kcevents.uk/oauth/discord/callback' })[0], /https/);
+        assert.deepEqual(problemsFor({ DISCORD_REDIRECT_URI: 'http://localhost:3000/oauth/discord/callback' }), []);
+    });
+
+    it('only allows success and error pages on allowed origins', () => {
+        assert.deepEqual(problemsFor({ PUBLIC_WEB_SUCCESS_URL: 'https://kcevents.uk/#kcnow' }), []);
+        assert.deepEqual(problemsFor({ PUBLIC_WEB_ERROR_URL: '/discord-login-error' }), []);
+        assert.match(problemsFor({ PUBLIC_WEB_ERROR_URL: 'https://evil.example/err' })[0], /PUBLIC_WEB_ERROR_URL .* allowed origin/);
+        assert.deepEqual(problemsFor({
+            ALLOWED_ORIGINS: 'https://events.example',
+            PUBLIC_WEB_SUCCESS_URL: 'https://events.example/done',
+            PUBLIC_LOGIN_SUCCESS_URL: 'https://auth.kcevents.uk/welcome', // the bridge is always allowed
+            KC_LOGIN_URL: 'https://events.example/login',
+            LINK_PAGE_URL: 'https://events.example/link.html',
+        }), []);
+        assert.match(problemsFor({ ALLOWED_ORIGINS: 'https://events.example/path' }).join('\n'), /bare origins/);
+    });
+
+    it('checks the returnTo allowlist against the allowed origins', () => {
+        assert.deepEqual(loadConfig({ ...ENV, RETURN_TO_ALLOWLIST: 'https://kcevents.uk/events/, https://kcevents.uk/settings' })
+            .app.returnToAllowlist, ['https://kcevents.uk/events/', 'https://kcevents.uk/settings']);
+        assert.match(problemsFor({ RETURN_TO_ALLOWLIST: 'https://evil.example/' })[0], /not on an allowed origin/);
+        assert.match(problemsFor({ RETURN_TO_ALLOWLIST: 'https://kcevents.uk/?x=1' })[0], /query or fragment/);
+    });
+
+    it('rejects malformed optional settings', () => {
+        const problems = problemsFor({
+            FB_SERVICE_ACCOUNT_JSON: '{nope',
+            DISCORD_GUILD_ID: 'guild',
+            DISCORD_BOT_TOKEN: 'bot-token',
+            TOKEN_ENCRYPTION_KEY: 'short',
+            BOT_SHARED_SECRET: 'tiny',
+            WEBHOOK_URLS: 'https://hooks.kcevents.uk/a',
+            DISCORD_API_BASE: 'ftp://discord.com/api',
+            STATE_SWEEP_INTERVAL_MS: '1h',
+        });
+        const report = problems.join('\n');
+        assert.match(report, /Service account could not be read/);
+        assert.match(report, /DISCORD_GUILD_ID/);
+        assert.match(report, /BOT_SHARED_SECRET must be at least 16 characters/);
+        assert.match(report, /WEBHOOK_SECRET is required/);
+        assert.match(report, /DISCORD_API_BASE must use https/);
+        assert.match(report, /STATE_SWEEP_INTERVAL_MS must be a whole number/);
+        assert.equal(problems.length, 7);
+    });
+
+    it('rejects tight-loop intervals, a retention shorter than two TTLs and bad ports', () => {
+        const report = problemsFor({
+            STATE_SWEEP_INTERVAL_MS: '3000000000', // Node would clamp it to 1 ms
+            WEBHOOK_RETRY_INTERVAL_MS: '1',
+            PROFILE_REFRESH_INTERVAL_MS: '0.5',
+            STATE_RETENTION_MS: String(15 * 60 * 1000),
+            PORT: '70000',
+        }).join('\n');
+        for (const name of ['STATE_SWEEP_INTERVAL_MS', 'WEBHOOK_RETRY_INTERVAL_MS', 'PROFILE_REFRESH_INTERVAL_MS']) {
+            assert.match(report, new RegExp(`${name} must be a whole number of milliseconds, between 1000 and 2147483647`));
+        }
+        assert.match(report, /STATE_RETENTION_MS .* at least 1800000/);
+        assert.match(report, /PORT must be a port number: 70000/);
+        assert.deepEqual(problemsFor({ PROFILE_REFRESH_INTERVAL_MS: '0', STATE_SWEEP_INTERVAL_MS: '1000', PORT: '8080' }), []);
+    });
+
+    it('requires a bot token for guild mode', () => {
+        assert.deepEqual(problemsFor({ DISCORD_GUILD_ID: '223456789012345678' }),
+            ['DISCORD_BOT_TOKEN is required when DISCORD_GUILD_ID is set']);
+        assert.deepEqual(problemsFor({ DISCORD_GUILD_ID: '223456789012345678', DISCORD_BOT_TOKEN: 'bot-token' }), []);
+    });
+
+    it('reads rate limits and the counter store', () => {
+        const { app, rateLimitStore } = loadConfig({
+            ...ENV,
+            TRUST_PROXY: '1',
+            RATE_LIMIT_WINDOW_MS: '30000',
+            LINK_STATE_LIMIT_PER_IP: '5',
+            START_LIMIT_PER_IP: '0',
+            MAX_FAILED_CALLBACKS: '3',
+            RATE_LIMIT_STORE: 'firestore',
+        });
+        assert.deepEqual(
+            [app.rateLimitWindowMs, app.linkStateLimitPerIp, app.startLimitPerIp, app.callbackLimitPerIp, app.maxFailedCallbacks],
+            [30000, 5, 0, undefined, 3],
+        );
+        assert.equal(rateLimitStore, 'firestore');
+        assert.equal(loadConfig(ENV).rateLimitStore, 'memory');
+        // Per-IP limits are off until TRUST_PROXY says where client addresses come from
+        const { app: direct } = loadConfig(ENV);
+        assert.deepEqual([direct.linkStateLimitPerIp, direct.startLimitPerIp, direct.callbackLimitPerIp], [0, 0, 0]);
+        assert.equal(loadConfig({ ...ENV, TRUST_PROXY: 'false' }).app.startLimitPerIp, undefined);
+        assert.match(problemsFor({ START_LIMIT_PER_IP: '10' })[0], /START_LIMIT_PER_IP needs TRUST_PROXY/);
+
+        const report = problemsFor({ RATE_LIMIT_WINDOW_MS: '0', CALLBACK_LIMIT_PER_STATE: '-1', RATE_LIMIT_STORE: 'redis' }).join('\n');
+        assert.match(report, /RATE_LIMIT_WINDOW_MS must be a whole number of milliseconds, at least 1000/);
+        assert.match(report, /CALLBACK_LIMIT_PER_STATE must be a whole number of requests/);
+        assert.match(report, /RATE_LIMIT_STORE must be memory or firestore/);
+    });
+
+    it('accepts a valid token encryption key', () => {
+        assert.deepEqual(problemsFor({ TOKEN_ENCRYPTION_KEY: crypto.randomBytes(32).toString('base64') }), []);
+    });
+});
+
+describe('GET /health/ready', () => {
+    let bridge;
+    before(async () => { bridge = await startBridge({ config: { healthCheckTimeoutMs: 50 } }); });
+    after(() => bridge.close());
+
+    it('reports every check when all pass', async () => {
+        const res = await bridge.request('/health/ready');
+        assert.equal(res.status, 200);
+        const body = await res.json();
+        assert.equal(body.ok, true);
+        assert.deepEqual(Object.keys(body.checks), ['firestore', 'rtdb', 'credentials']);
+        assert.ok(Object.values(body.checks).every(check => check.ok && typeof check.latencyMs === 'number'));
+    });
+
+    it('names the failing backend and returns 503', async t => {
+        t.mock.method(bridge.store.health, 'credentials', async () => { throw new Error('invalid_grant'); });
+        t.mock.method(bridge.store.health, 'rtdb', () => new Promise(() => {}));
+        t.mock.method(console, 'error', () => {});
+        const res = await bridge.request('/health/ready');
+        assert.equal(res.status, 503);
+        const { ok, checks } = await res.json();
+        assert.equal(ok, false);
+        assert.equal(checks.firestore.ok, true);
+        assert.deepEqual([checks.rtdb.ok, checks.rtdb.error], [false, 'Timed out']);
+        assert.deepEqual([checks.credentials.ok, checks.credentials.error], [false, 'invalid_grant']);
+    });
+
+    it('keeps /health as a plain liveness check', async () => {
+        const res = await bridge.request('/health');
+        assert.equal(await res.text(), 'OK');
+    });
+});
@@ -0,0 +1,152 @@
+'use strict';
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createDiscordClient } = require('../lib/discord.cjs');
+const { startFakeDiscordServer } = require('../lib/fake-discord-server.cjs');
+const { startBridge, failureReason, BASE_CONFIG, DISCORD_ID } = require('./helpers.cjs');
+
+const discordUser = { id: DISCORD_ID, username: 'kcfan', global_name: 'KC Fan', avatar: 'abc123' };
+
+describe('Discord client', () => {
+    let fake;
+    let waits;
+    const client = (options = {}) => createDiscordClient({
+        clientId: fake.clientId,
+        clientSecret: fake.clientSecret,
+        redirectUri: BASE_CONFIG.redirectUri,
+        apiBase: fake.apiBase,
+        wait: async ms => { waits.push(ms); },
+        ...options,
+    });
+
+    // Runs the fake consent screen and returns a code bound to `verifier`.
+    async function authorize(verifier = 'verifier') {
+        const params = new URLSearchParams({
+            client_id: fake.clientId,
+            redirect_uri: BASE_CONFIG.redirectUri,
+            code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+        });
+        const res = await fetch(`${fake.authorizeUrl}?${params}`, { redirect: 'manual' });
+        return new URL(res.headers.get('location')).searchParams.get('code');
+    }
+
+    before(async () => { fake = await startFakeDiscordServer({ user: discordUser }); });
+    after(() => fake.close());
+    beforeEach(() => { waits = []; });
+
+    it('exchanges a code and fetches users/@me', async () => {
+        const tokens = await client().exchangeCode(await authorize(), 'verifier');
+        assert.deepEqual(await client().getCurrentUser(tokens.access_token), discordUser);
+    });
+
+    it('reports a reused or mismatched code as invalid_grant', async () => {
+        const code = await authorize();
+        await assert.rejects(client().exchangeCode(code, 'wrong-verifier'), { code: 'invalid_grant', status: 400 });
+        await assert.rejects(client().exchangeCode(code, 'verifier'), { code: 'invalid_grant' });
+    });
+
+    it('retries 5xx responses with backoff', async () => {
+        fake.failNext({ status: 502 }, { status: 503 });
+        const tokens = await client().exchangeCode(await authorize(), 'verifier');
+        assert.ok(tokens.access_token);
+        assert.deepEqual(waits, [250, 500]);
+    });
+
+    it('gives up on persistent 5xx with a typed error, not a JSON parse error', async () => {
+        fake.failNext({ status: 502 }, { status: 502 }, { status: 502 });
+        await assert.rejects(client().getCurrentUser('whatever'), { code: 'unavailable', status: 502 });
+    });
+
+    it('waits out Retry-After on 429', async () => {
+        const tokens = await client().exchangeCode(await authorize(), 'verifier');
+        fake.failNext({ status: 429, retryAfter: 1.5 });
+        await client().getCurrentUser(tokens.access_token);
+        assert.deepEqual(waits, [1500]);
+    });
+
+    it('backs off on a 429 without Retry-After', async () => {
+        fake.failNext({ status: 429 }, { status: 429 });
+        const tokens = await client().exchangeCode(await authorize(), 'verifier');
+        assert.ok(tokens.access_token);
+        assert.deepEqual(waits, [250, 500]);
+    });
+
+    it('does not sleep through long rate limits', async () => {
+        fake.failNext({ status: 429, retryAfter: 60 });
+        const err = await client().getCurrentUser('whatever').catch(e => e);
+        assert.equal(err.code, 'rate_limited');
+        assert.equal(err.retryAfterMs, 60_000);
+        assert.deepEqual(waits, []);
+    });
+
+    it('times out slow requests', async () => {
+        fake.failNext({ delayMs: 200 }, { delayMs: 200 });
+        await assert.rejects(client({ timeoutMs: 50, maxRetries: 1 }).getCurrentUser('whatever'), { code: 'timeout' });
+        assert.deepEqual(waits, [250]);
+    });
+
+    it('maps a 404 member lookup to null and a bad access token to unauthorized', async () => {
+        const tokens = await client().exchangeCode(await authorize(), 'verifier');
+        assert.equal(await client().getGuildMember(tokens.access_token, 'guild-1'), null);
+        await assert.rejects(client().getCurrentUser('not-a-token'), { code: 'unauthorized' });
+    });
+});
+
+describe('bridge against the fake Discord server', () => {
+    let fake;
+    let bridge;
+
+    before(async () => {
+        fake = await startFakeDiscordServer({ user: discordUser });
+        bridge = await startBridge({
+            config: { clientId: fake.clientId, discordAuthorizeUrl: fake.authorizeUrl },
+            discord: createDiscordClient({
+                clientId: fake.clientId,
+                clientSecret: fake.clientSecret,
+                redirectUri: BASE_CONFIG.redirectUri,
+                apiBase: fake.apiBase,
+                retryDelayMs: 1,
+            }),
+        });
+    });
+    after(async () => {
+        await bridge.close();
+        await fake.close();
+    });
+
+    // /start → fake consent → /callback, following redirects by hand.
+    async function runFlow(state, headers = {}) {
+        const started = await bridge.start(state);
+        const consent = await fetch(started.location, { redirect: 'manual' });
+        const callback = new URL(consent.headers.get('location'));
+        return bridge.request(callback.pathname + callback.search, { headers: { Cookie: started.cookie, ...headers } });
+    }
+
+    it('links an account end to end', async () => {
+        const { body } = await bridge.createLinkState('kc-1');
+        const res = await runFlow(body.state);
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), BASE_CONFIG.publicWebSuccess);
+        assert.equal(await bridge.store.links.getUid(DISCORD_ID), 'kc-1');
+        assert.equal((await bridge.store.users.get('kc-1')).discordGlobalName, 'KC Fan');
+    });
+
+    it('tells the user when Discord is rate limiting', async () => {
+        const { body } = await bridge.createLinkState('kc-2');
+        fake.failNext({ status: 429, retryAfter: 30 });
+        const res = await runFlow(body.state, { Accept: 'application/json' });
+        assert.equal(res.status, 503);
+        assert.equal(res.headers.get('retry-after'), '30');
+        const failure = await res.json();
+        assert.equal(failure.reason, 'discord_unavailable');
+        assert.match(failure.error, /rate limiting/);
+    });
+
+    it('tells the user when Discord is down', async () => {
+        const { body } = await bridge.createLinkState('kc-3');
+        fake.failNext({ status: 500 }, { status: 500 }, { status: 500 });
+        const res = await runFlow(body.state);
+        assert.equal(failureReason(res), 'discord_unavailable');
+    });
+});
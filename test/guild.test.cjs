@@ -0,0 +1,127 @@
+'use strict';
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBridge, DISCORD_ID, OTHER_DISCORD_ID } = require('./helpers.cjs');
+
+const discordUser = { id: DISCORD_ID, username: 'kcfan', avatar: null };
+
+describe('guild role sync', () => {
+    let bridge;
+    before(async () => { bridge = await startBridge({ config: { guildId: '999999999999999999' } }); });
+    after(() => bridge.close());
+
+    it('requests the guild member scope', async () => {
+        const { body } = await bridge.createLinkState('kc-1');
+        const { location } = await bridge.start(body.state);
+        assert.equal(new URL(location).searchParams.get('scope'), 'identify guilds.members.read');
+    });
+
+    it('stores roles on the profile and in custom claims when linking', async () => {
+        bridge.store.claims.set('kc-1', { admin: true });
+        bridge.discord.members.set(DISCORD_ID, { roles: ['111', '222'], nick: 'Fan' });
+
+        const { body } = await bridge.createLinkState('kc-1');
+        await bridge.completeFlow(body.state, discordUser);
+
+        const user = await bridge.store.users.get('kc-1');
+        assert.deepEqual(user.discordGuild.roles, ['111', '222']);
+        assert.deepEqual(bridge.store.claims.get('kc-1'), {
+            admin: true,
+            discordGuildMember: true,
+            discordRoles: ['111', '222'],
+        });
+    });
+
+    it('links without roles when the member lookup fails', async t => {
+        t.mock.method(bridge.discord, 'getGuildMember', async () => {
+            throw Object.assign(new Error('Discord returned 403'), { code: 'bad_response' });
+        });
+        t.mock.method(console, 'error', () => {});
+        const { body } = await bridge.createLinkState('kc-2');
+        const res = await bridge.completeFlow(body.state, { ...discordUser, id: OTHER_DISCORD_ID });
+        assert.equal(res.status, 302);
+        assert.equal(await bridge.store.links.getDiscordId('kc-2'), OTHER_DISCORD_ID);
+        assert.equal((await bridge.store.users.get('kc-2')).discordGuild, undefined);
+    });
+
+    it('puts roles in the custom token for login mode', async () => {
+        bridge.discord.members.set(DISCORD_ID, { roles: ['333'] });
+        const { body } = await bridge.createLinkState(null, { mode: 'login' });
+        await bridge.completeFlow(body.state, discordUser);
+        assert.deepEqual(bridge.store.customTokens.at(-1).claims.discordRoles, ['333']);
+    });
+
+    it('re-syncs from the bot, with or without a roles payload', async () => {
+        const sync = body => bridge.request('/api/discord/roles/sync', {
+            method: 'POST',
+            headers: { 'X-Bot-Secret': 'bot-secret', 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+
+        const pushed = await sync({ discordId: DISCORD_ID, roles: ['444'] });
+        assert.equal(pushed.status, 200);
+        assert.deepEqual(bridge.store.claims.get('kc-1').discordRoles, ['444']);
+
+        bridge.discord.members.delete(DISCORD_ID);
+        const fetched = await sync({ discordId: DISCORD_ID });
+        assert.equal((await fetched.json()).inGuild, false);
+        assert.equal(bridge.store.claims.get('kc-1').discordGuildMember, false);
+    });
+
+    describe('when the link goes away', () => {
+        const guildClaimsOf = uid => {
+            const { discordGuildMember, discordRoles } = bridge.store.claims.get(uid);
+            return { discordGuildMember, discordRoles };
+        };
+
+        async function linkWithRoles(uid) {
+            bridge.store.claims.set(uid, { admin: true });
+            bridge.discord.members.set(DISCORD_ID, { roles: ['111'] });
+            const { body } = await bridge.createLinkState(uid);
+            return bridge.completeFlow(body.state, discordUser);
+        }
+
+        beforeEach(() => {
+            for (const table of Object.values(bridge.store.tables)) table.clear();
+            bridge.store.claims.clear();
+        });
+
+        it('clears roles when the site unlinks', async () => {
+            await linkWithRoles('kc-1');
+            const res = await bridge.request('/oauth/discord/unlink', { method: 'POST', headers: bridge.signIn('kc-1') });
+            assert.equal(res.status, 200);
+            assert.deepEqual(bridge.store.claims.get('kc-1'), { admin: true });
+            assert.equal((await bridge.store.users.get('kc-1')).discordGuild, undefined);
+        });
+
+        it('clears roles when the bot unlinks', async () => {
+            await linkWithRoles('kc-1');
+            const res = await bridge.request('/oauth/discord/unlink/bot', {
+                method: 'POST',
+                headers: { 'X-Bot-Secret': 'bot-secret', 'Content-Type': 'application/json' },
+                body: JSON.stringify({ discordId: DISCORD_ID }),
+            });
+            assert.equal(res.status, 200);
+            assert.deepEqual(bridge.store.claims.get('kc-1'), { admin: true });
+            assert.equal((await bridge.store.users.get('kc-1')).discordGuild, undefined);
+        });
+
+        it('clears the previous holder\'s roles when a conflict moves the link', async () => {
+            await linkWithRoles('kc-old');
+            assert.deepEqual(guildClaimsOf('kc-old'), { discordGuildMember: true, discordRoles: ['111'] });
+
+            bridge.store.claims.set('kc-new', {});
+            const res = await linkWithRoles('kc-new');
+            const conflictUrl = new URL(res.headers.get('location'), bridge.baseUrl);
+            await bridge.request('/oauth/discord/conflict/confirm', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: conflictUrl.searchParams.toString(),
+            });
+
+            assert.deepEqual(bridge.store.claims.get('kc-old'), { admin: true });
+            assert.equal((await bridge.store.users.get('kc-old')).discordGuild, undefined);
+            assert.deepEqual(guildClaimsOf('kc-new'), { discordGuildMember: true, discordRoles: ['111'] });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+'use strict';
+const crypto = require('crypto');
+const { createApp } = require('../lib/app.cjs');
+const { discordError } = require('../lib/discord.cjs');
+const { createMemoryStore } = require('../lib/store/memory.cjs');
+
+const DISCORD_ID = '123456789012345678';
+const OTHER_DISCORD_ID = '876543210987654321';
+
+const BASE_CONFIG = {
+    clientId: 'client-id',
+    redirectUri: 'http://bridge.test/oauth/discord/callback',
+    publicWebSuccess: 'https://kcevents.test/#kcnow',
+    linkPageUrl: 'https://bridge.test/link.html',
+    botSharedSecret: 'bot-secret',
+    legacyStateSecret: 'legacy-secret',
+    // Every test request comes from 127.0.0.1; test/rate-limit.test.cjs sets its own
+    linkStateLimitPerIp: 0,
+    startLimitPerIp: 0,
+    callbackLimitPerIp: 0,
+};
+
+// In-process stand-in for the Discord client. `authorize(code, user, challenge)`
+// registers a code the way Discord would after consent; the PKCE verifier sent
+// in the exchange is checked against the challenge /start sent. `members`
+// maps Discord IDs to guild member objects for the guild lookups, and
+// `refreshTokens` maps live refresh tokens to users (delete one to revoke it).
+function createFakeDiscord() {
+    const codes = new Map();
+    const accessTokens = new Map();
+    const refreshTokens = new Map();
+    const members = new Map();
+    let issued = 0;
+
+    function issueTokens(user) {
+        issued++;
+        accessTokens.set(`access-${issued}`, user);
+        refreshTokens.set(`refresh-${issued}`, user);
+        return { access_token: `access-${issued}`, refresh_token: `refresh-${issued}`, expires_in: 604800, scope: 'identify' };
+    }
+
+    return {
+        members,
+        refreshTokens,
+        authorize(code, user, codeChallenge) {
+            codes.set(code, { user, codeChallenge });
+        },
+        async exchangeCode(code, codeVerifier) {
+            const entry = codes.get(code);
+            const challenge = crypto.createHash('sha256').update(String(codeVerifier)).digest('base64url');
+            if (!entry || challenge !== entry.codeChallenge) {
+                throw discordError('invalid_grant', 'Discord rejected the grant');
+            }
+            codes.delete(code);
+            return issueTokens(entry.user);
+        },
+        async refreshToken(refreshToken) {
+            const user = refreshTokens.get(refreshToken);
+            if (!user) throw discordError('invalid_grant', 'Discord rejected the grant');
+            refreshTokens.delete(refreshToken);
+            return issueTokens(user);
+        },
+        async getCurrentUser(accessToken) {
+            const user = accessTokens.get(accessToken);
+            if (!user) throw discordError('unauthorized', 'Discord /users/@me returned 401');
+            return user;
+        },
+        async getGuildMember(accessToken) {
+            return members.get(accessTokens.get(accessToken)?.id) || null;
+        },
+        async getGuildMemberAsBot(guildId, userId) {
+            return members.get(userId) || null;
+        },
+    };
+}
+
+// The reason code of a failure redirect to /discord-login-error, or null.
+function failureReason(res) {
+    const location = res.headers.get('location');
+    if (res.status !== 302 || !location) return null;
+    const url = new URL(location);
+    return url.pathname === '/discord-login-error' ? url.searchParams.get('reason') : null;
+}
+
+// Starts the app on an ephemeral port. Returns helpers bound to it; call
+// close() in an after() hook. Pass `discord` to use a real client (e.g. one
+// pointed at lib/fake-discord-server.cjs) instead of the in-process fake.
+async function startBridge({ config = {}, store = createMemoryStore(), discord = createFakeDiscord(), rateLimitStore } = {}) {
+    const app = createApp({ store, discord, rateLimitStore, config: { ...BASE_CONFIG, ...config } });
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = (path, options = {}) => fetch(baseUrl + path, { redirect: 'manual', ...options });
+
+    // Runs /start for `state` and returns the cookie and PKCE challenge it issued.
+    async function start(state) {
+        const res = await request(`/oauth/discord/start?state=${encodeURIComponent(state)}`);
+        const location = res.headers.get('location');
+        const cookie = (res.headers.get('set-cookie') || '').split(';')[0];
+        const challenge = location ? new URL(location).searchParams.get('code_challenge') : null;
+        return { res, cookie, challenge, location };
+    }
+
+    // Full browser round trip: /start, Discord consent as `user`, /callback.
+    async function completeFlow(state, user) {
+        const started = await start(state);
+        const code = crypto.randomBytes(8).toString('hex');
+        discord.authorize(code, user, started.challenge);
+        return request(`/oauth/discord/callback?code=${code}&state=${encodeURIComponent(state)}`, {
+            headers: { Cookie: started.cookie },
+        });
+    }
+
+    function signIn(uid) {
+        const token = `id-token-${uid}`;
+        store.idTokens.set(token, { uid });
+        return { Authorization: `Bearer ${token}` };
+    }
+
+    async function createLinkState(uid, body = {}) {
+        const res = await request('/api/link-states', {
+            method: 'POST',
+            headers: { ...(uid ? signIn(uid) : {}), 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        return { res, body: await res.json() };
+    }
+
+    return {
+        app,
+        store,
+        discord,
+        baseUrl,
+        request,
+        start,
+        completeFlow,
+        signIn,
+        createLinkState,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = { startBridge, createFakeDiscord, failureReason, DISCORD_ID, OTHER_DISCORD_ID, BASE_CONFIG };
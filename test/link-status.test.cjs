@@ -0,0 +1,82 @@
+'use strict';
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBridge, DISCORD_ID, OTHER_DISCORD_ID } = require('./helpers.cjs');
+
+describe('link status API', () => {
+    let bridge;
+    before(async () => { bridge = await startBridge(); });
+    after(() => bridge.close());
+    beforeEach(() => {
+        for (const table of Object.values(bridge.store.tables)) table.clear();
+    });
+
+    const asBot = (path, options = {}) => bridge.request(path, {
+        ...options,
+        headers: { 'X-Bot-Secret': 'bot-secret', 'Content-Type': 'application/json', ...options.headers },
+    });
+
+    describe('GET /api/me/discord', () => {
+        it('requires an ID token', async () => {
+            assert.equal((await bridge.request('/api/me/discord')).status, 401);
+        });
+
+        it('reports an unlinked user', async () => {
+            const res = await bridge.request('/api/me/discord', { headers: bridge.signIn('kc-1') });
+            assert.deepEqual(await res.json(), { linked: false });
+        });
+
+        it('returns the linked Discord profile', async () => {
+            await bridge.store.links.save('kc-1', DISCORD_ID, {
+                discordUsername: 'kcfan', discordGlobalName: 'KC Fan', discordAvatarURL: 'https://cdn.test/a.png',
+            });
+            const res = await bridge.request('/api/me/discord', { headers: bridge.signIn('kc-1') });
+            const body = await res.json();
+            assert.equal(body.linked, true);
+            assert.equal(body.discordId, DISCORD_ID);
+            assert.equal(body.username, 'kcfan');
+            assert.equal(body.avatarURL, 'https://cdn.test/a.png');
+            assert.ok(!Number.isNaN(Date.parse(body.linkedAt)));
+            assert.equal(body.stale, false);
+        });
+    });
+
+    describe('GET /api/discord/:discordId', () => {
+        it('requires the bot secret', async () => {
+            const res = await bridge.request(`/api/discord/${DISCORD_ID}`);
+            assert.equal(res.status, 401);
+        });
+
+        it('returns the KC uid and display name', async () => {
+            bridge.store.tables.users.set('kc-1', { displayName: 'Kevin' });
+            await bridge.store.links.save('kc-1', DISCORD_ID);
+            const res = await asBot(`/api/discord/${DISCORD_ID}`);
+            assert.deepEqual(await res.json(), { discordId: DISCORD_ID, uid: 'kc-1', displayName: 'Kevin' });
+        });
+
+        it('returns 404 for unlinked accounts and 400 for malformed IDs', async () => {
+            assert.equal((await asBot(`/api/discord/${DISCORD_ID}`)).status, 404);
+            assert.equal((await asBot('/api/discord/not-an-id')).status, 400);
+        });
+    });
+
+    describe('POST /api/discord/lookup', () => {
+        it('resolves many IDs at once', async () => {
+            await bridge.store.links.save('kc-1', DISCORD_ID);
+            const res = await asBot('/api/discord/lookup', {
+                method: 'POST',
+                body: JSON.stringify({ discordIds: [DISCORD_ID, OTHER_DISCORD_ID] }),
+            });
+            const { results } = await res.json();
+            assert.equal(results[DISCORD_ID].uid, 'kc-1');
+            assert.equal(results[OTHER_DISCORD_ID], null);
+        });
+
+        it('rejects empty and oversized batches', async () => {
+            const lookup = discordIds => asBot('/api/discord/lookup', { method: 'POST', body: JSON.stringify({ discordIds }) });
+            assert.equal((await lookup([])).status, 400);
+            assert.equal((await lookup(Array.from({ length: 101 }, () => DISCORD_ID))).status, 400);
+            assert.equal((await lookup(['x'])).status, 400);
+        });
+    });
+});
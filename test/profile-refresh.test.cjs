@@ -0,0 +1,166 @@
+'use strict';
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signLegacyState } = require('../lib/legacy-state.cjs');
+const { refreshProfiles } = require('../lib/profile-refresh.cjs');
+const { createTokenCipher } = require('../lib/token-cipher.cjs');
+const { createMemoryStore } = require('../lib/store/memory.cjs');
+const { startBridge, failureReason, DISCORD_ID, OTHER_DISCORD_ID } = require('./helpers.cjs');
+
+describe('refresh tokens and profile refresh', () => {
+    let bridge;
+    const discordUser = { id: DISCORD_ID, username: 'kcfan', global_name: 'KC Fan', avatar: 'aaa' };
+
+    const runRefresh = async () => {
+        // Make every stored token look a day old
+        for (const token of bridge.store.tables.discordTokens.values()) token.refreshedAtMs -= 25 * 60 * 60 * 1000;
+        const res = await bridge.request('/api/discord/refresh', {
+            method: 'POST',
+            headers: { 'X-Bot-Secret': 'bot-secret' },
+        });
+        return res.json();
+    };
+
+    before(async () => {
+        bridge = await startBridge({ config: { tokenEncryptionKey: crypto.randomBytes(32).toString('hex') } });
+        const { body } = await bridge.createLinkState('kc-1');
+        await bridge.completeFlow(body.state, discordUser);
+    });
+    after(() => bridge.close());
+
+    it('stores the refresh token encrypted alongside the full profile', async () => {
+        const stored = bridge.store.tables.discordTokens.get(DISCORD_ID);
+        assert.match(stored.refreshToken, /^v1\./);
+        assert.doesNotMatch(stored.refreshToken, /refresh-/);
+
+        const user = await bridge.store.users.get('kc-1');
+        assert.equal(user.discordGlobalName, 'KC Fan');
+        assert.equal(user.discordAvatarURL, `https://cdn.discordapp.com/avatars/${DISCORD_ID}/aaa.png`);
+    });
+
+    it('renews tokens and picks up profile changes', async () => {
+        Object.assign(discordUser, { username: 'kcfan2', avatar: 'bbb' });
+        const summary = await runRefresh();
+        assert.equal(summary.refreshed, 1);
+        assert.equal((await bridge.store.users.get('kc-1')).discordUsername, 'kcfan2');
+    });
+
+    it('drops revoked grants and marks the link stale', async () => {
+        bridge.discord.refreshTokens.clear();
+        const summary = await runRefresh();
+        assert.equal(summary.revoked, 1);
+        assert.equal(bridge.store.tables.discordTokens.has(DISCORD_ID), false);
+        assert.equal(bridge.store.tables.discordLinks.get(DISCORD_ID).stale, true);
+        assert.equal((await bridge.store.users.get('kc-1')).discordLinkStale, true);
+    });
+});
+
+describe('when refresh tokens are stored', () => {
+    let bridge;
+    const discordUser = { id: DISCORD_ID, username: 'kcfan', avatar: null };
+    before(async () => {
+        bridge = await startBridge({ config: { tokenEncryptionKey: crypto.randomBytes(32).toString('hex') } });
+    });
+    after(() => bridge.close());
+    beforeEach(() => {
+        for (const table of Object.values(bridge.store.tables)) table.clear();
+    });
+
+    const redeem = ticket => bridge.request('/api/link-tickets/redeem', {
+        method: 'POST',
+        headers: { ...bridge.signIn('kc-1'), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ticket }),
+    });
+
+    it('keeps nothing for a state that expired before the callback', async () => {
+        const { body } = await bridge.createLinkState('kc-1');
+        const started = await bridge.start(body.state);
+        bridge.store.tables.linkStates.get(body.state).createdAtMs -= 16 * 60 * 1000;
+        bridge.discord.authorize('code-1', discordUser, started.challenge);
+        const res = await bridge.request(`/oauth/discord/callback?code=code-1&state=${body.state}`, {
+            headers: { Cookie: started.cookie },
+        });
+        assert.equal(failureReason(res), 'expired');
+        assert.equal(bridge.store.tables.discordTokens.size, 0);
+    });
+
+    it('keeps nothing for a legacy identity mismatch', async () => {
+        const res = await bridge.completeFlow(signLegacyState(DISCORD_ID, 'legacy-secret'), { ...discordUser, id: OTHER_DISCORD_ID });
+        assert.equal(failureReason(res), 'identity_mismatch');
+        assert.equal(bridge.store.tables.discordTokens.size, 0);
+    });
+
+    it('keeps the legacy grant only once the ticket is redeemed', async () => {
+        const res = await bridge.completeFlow(signLegacyState(DISCORD_ID, 'legacy-secret'), discordUser);
+        assert.equal(bridge.store.tables.discordTokens.size, 0);
+        const ticket = new URL(res.headers.get('location')).searchParams.get('ticket');
+        assert.match(bridge.store.tables.linkTickets.get(ticket).grant.refreshToken, /^v1\./);
+        assert.equal((await redeem(ticket)).status, 200);
+        assert.match(bridge.store.tables.discordTokens.get(DISCORD_ID).refreshToken, /^v1\./);
+        assert.equal(bridge.store.tables.linkTickets.get(ticket).grant, undefined);
+    });
+
+    it('keeps the grant of a parked conflict once it is confirmed', async () => {
+        await bridge.store.links.save('kc-old', DISCORD_ID);
+        const { body } = await bridge.createLinkState('kc-1');
+        const res = await bridge.completeFlow(body.state, discordUser);
+        assert.equal(bridge.store.tables.discordTokens.size, 0);
+
+        const conflictUrl = new URL(res.headers.get('location'), bridge.baseUrl);
+        await bridge.request('/oauth/discord/conflict/confirm', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: conflictUrl.searchParams.toString(),
+        });
+        assert.ok(bridge.store.tables.discordTokens.has(DISCORD_ID));
+    });
+});
+
+describe('refreshProfiles', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    it('pushes failing tokens back so they cannot starve the rest', async t => {
+        t.mock.method(console, 'error', () => {});
+        let time = 0;
+        const store = createMemoryStore({ now: () => time });
+        const cipher = createTokenCipher(crypto.randomBytes(32).toString('hex'));
+        await store.links.save('kc-1', DISCORD_ID);
+        await store.links.save('kc-2', OTHER_DISCORD_ID);
+        await store.discordTokens.save(DISCORD_ID, { refreshToken: cipher.encrypt('broken') });
+        time = 1;
+        await store.discordTokens.save(OTHER_DISCORD_ID, { refreshToken: cipher.encrypt('good') });
+
+        const discord = {
+            async refreshToken(token) {
+                if (token === 'broken') throw Object.assign(new Error('Unauthorized'), { code: 'unauthorized' });
+                return { access_token: 'access', refresh_token: 'good' };
+            },
+            getCurrentUser: async () => ({ id: OTHER_DISCORD_ID, username: 'other' }),
+        };
+        const run = () => refreshProfiles({
+            store, discord, cipher, profileOf: user => ({ discordUsername: user.username }),
+            maxAgeMs: DAY, batchSize: 1, now: () => time,
+        });
+
+        time = 2 * DAY;
+        assert.equal((await run()).failed, 1);
+        assert.equal(store.tables.discordTokens.get(DISCORD_ID).failures, 1);
+        assert.equal((await run()).refreshed, 1);
+        assert.equal((await store.users.get('kc-2')).discordUsername, 'other');
+    });
+
+    it('drops tokens that no longer decrypt', async t => {
+        t.mock.method(console, 'warn', () => {});
+        const store = createMemoryStore({ now: () => 0 });
+        await store.links.save('kc-1', DISCORD_ID);
+        await store.discordTokens.save(DISCORD_ID, { refreshToken: 'v1.not.a.token' });
+        const summary = await refreshProfiles({
+            store, discord: {}, cipher: createTokenCipher(crypto.randomBytes(32).toString('hex')),
+            profileOf: () => ({}), maxAgeMs: DAY, batchSize: 10, now: () => 2 * DAY,
+        });
+        assert.equal(summary.undecryptable, 1);
+        assert.equal(store.tables.discordTokens.size, 0);
+        assert.equal(await store.links.getUid(DISCORD_ID), 'kc-1');
+    });
+});
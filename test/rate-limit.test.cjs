@@ -0,0 +1,89 @@
+'use strict';
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRateLimitStore, consume } = require('../lib/rate-limit.cjs');
+const { startBridge, failureReason } = require('./helpers.cjs');
+
+describe('rate limiting', () => {
+    let bridge;
+    afterEach(() => bridge.close());
+
+    it('answers 429 with Retry-After once an IP exceeds the /start limit', async t => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        bridge = await startBridge({ config: { startLimitPerIp: 2 } });
+        await bridge.start('a'.repeat(48));
+        await bridge.start('b'.repeat(48));
+        const { res } = await bridge.start('c'.repeat(48));
+        assert.equal(res.status, 429);
+        assert.ok(Number(res.headers.get('retry-after')) > 0);
+        assert.match(await res.text(), /Too many attempts/);
+        assert.match(warn.mock.calls.at(-1).arguments[0], /Blocked start for IP/);
+    });
+
+    it('limits link state creation per IP, in JSON', async t => {
+        t.mock.method(console, 'warn', () => {});
+        bridge = await startBridge({ config: { linkStateLimitPerIp: 1 } });
+        assert.equal((await bridge.createLinkState(null, { mode: 'login' })).res.status, 201);
+        const { res, body } = await bridge.createLinkState(null, { mode: 'login' });
+        assert.equal(res.status, 429);
+        assert.equal(body.reason, 'rate_limited');
+        assert.equal(bridge.store.tables.linkStates.size, 1);
+    });
+
+    it('limits callbacks per state and reports JSON clients', async t => {
+        t.mock.method(console, 'warn', () => {});
+        bridge = await startBridge({ config: { callbackLimitPerState: 1 } });
+        const callback = () => bridge.request('/oauth/discord/callback?code=x&state=some-state', {
+            headers: { Accept: 'application/json' },
+        });
+        await callback();
+        const res = await callback();
+        assert.equal(res.status, 429);
+        assert.equal((await res.json()).reason, 'rate_limited');
+    });
+
+    it('burns a state after too many failed callbacks', async t => {
+        t.mock.method(console, 'warn', () => {});
+        bridge = await startBridge({ config: { maxFailedCallbacks: 2 } });
+        const { body } = await bridge.createLinkState('kc-1');
+        const started = await bridge.start(body.state);
+
+        // No session cookie: browser_mismatch, twice
+        for (let i = 0; i < 2; i++) {
+            const res = await bridge.request(`/oauth/discord/callback?code=x&state=${body.state}`);
+            assert.equal(failureReason(res), 'browser_mismatch');
+        }
+        assert.equal((await bridge.store.states.get(body.state)).used, true);
+
+        // Even the right browser can't use it now
+        const res = await bridge.request(`/oauth/discord/callback?code=x&state=${body.state}`, {
+            headers: { Cookie: started.cookie },
+        });
+        assert.equal(failureReason(res), 'already_used');
+        const burned = [...bridge.store.tables.linkAudit.values()].find(e => e.event === 'state.burned');
+        assert.equal(burned.stateId, body.state);
+    });
+
+    it('lets requests through when the counter store fails', async t => {
+        t.mock.method(console, 'error', () => {});
+        const broken = { hit: async () => { throw new Error('redis down'); }, get: async () => null };
+        bridge = await startBridge({ config: { startLimitPerIp: 1 }, rateLimitStore: broken });
+        await bridge.start('deadbeef');
+        const { res } = await bridge.start('deadbeef');
+        assert.equal(failureReason(res), 'invalid_state');
+    });
+});
+
+describe('memory rate limit store', () => {
+    it('counts within a window and starts over after it', async () => {
+        let time = 0;
+        const store = createMemoryRateLimitStore({ now: () => time });
+        const limit = { limit: 2, windowMs: 1000 };
+        assert.equal((await consume(store, 'k', limit, () => time)).allowed, true);
+        assert.equal((await consume(store, 'k', limit, () => time)).allowed, true);
+        time = 400;
+        assert.deepEqual(await consume(store, 'k', limit, () => time), { allowed: false, retryAfterMs: 600 });
+        time = 1000;
+        assert.equal((await consume(store, 'k', limit, () => time)).allowed, true);
+    });
+});
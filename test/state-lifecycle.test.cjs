@@ -0,0 +1,131 @@
+'use strict';
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { toMillis, stateError } = require('../lib/state-lifecycle.cjs');
+const { startBridge, failureReason, DISCORD_ID } = require('./helpers.cjs');
+
+const discordUser = { id: DISCORD_ID, username: 'kcfan', avatar: 'abc123' };
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('state lifecycle', () => {
+    let bridge;
+    before(async () => { bridge = await startBridge(); });
+    after(() => bridge.close());
+    beforeEach(() => {
+        for (const table of Object.values(bridge.store.tables)) table.clear();
+        bridge.store.idTokens.set('admin-token', { uid: 'kc-admin', admin: true });
+    });
+
+    const post = (path, headers) => bridge.request(path, { method: 'POST', headers });
+
+    it('records when a state was used and how it ended', async () => {
+        const { body } = await bridge.createLinkState('kc-1');
+        await bridge.completeFlow(body.state, discordUser);
+        const state = await bridge.store.states.get(body.state);
+        assert.equal(state.used, true);
+        assert.equal(typeof state.usedAtMs, 'number');
+        assert.equal(state.outcome, 'linked');
+    });
+
+    it('records a parked conflict as the outcome', async () => {
+        await bridge.store.links.save('kc-old', DISCORD_ID);
+        const { body } = await bridge.createLinkState('kc-1');
+        await bridge.completeFlow(body.state, discordUser);
+        assert.equal((await bridge.store.states.get(body.state)).outcome, 'conflict');
+    });
+
+    describe('cancel', () => {
+        it('lets the owner withdraw a pending state', async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            const res = await post(`/api/link-states/${body.state}/cancel`, bridge.signIn('kc-1'));
+            assert.equal(res.status, 200);
+            assert.equal((await bridge.store.states.get(body.state)).outcome, 'cancelled');
+
+            const { res: start } = await bridge.start(body.state);
+            assert.equal(failureReason(start), 'already_used');
+            assert.equal((await post(`/api/link-states/${body.state}/cancel`, bridge.signIn('kc-1'))).status, 409);
+        });
+
+        it("hides other users' states", async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            const res = await post(`/api/link-states/${body.state}/cancel`, bridge.signIn('kc-2'));
+            assert.equal(res.status, 404);
+            assert.equal((await bridge.store.states.get(body.state)).used, false);
+        });
+    });
+
+    describe('sweep', () => {
+        it('deletes states past retention and keeps recent ones', async () => {
+            const { body: old } = await bridge.createLinkState('kc-1');
+            const { body: fresh } = await bridge.createLinkState('kc-2');
+            bridge.store.tables.linkStates.get(old.state).createdAtMs -= 2 * DAY;
+
+            assert.deepEqual(await bridge.app.locals.sweepStates(), { swept: 1, archived: 0, tickets: 0, failed: 0 });
+            assert.equal(await bridge.store.states.get(old.state), null);
+            assert.ok(await bridge.store.states.get(fresh.state));
+        });
+
+        it('keeps sweeping batches until one comes back short', async () => {
+            const sweeper = await startBridge({ config: { stateSweepBatchSize: 2, stateSweepMaxBatches: 2 } });
+            try {
+                for (let i = 0; i < 5; i++) {
+                    const { body } = await sweeper.createLinkState(`kc-${i}`);
+                    sweeper.store.tables.linkStates.get(body.state).createdAtMs -= 2 * DAY;
+                }
+                assert.deepEqual(await sweeper.app.locals.sweepStates(), { swept: 4, archived: 0, tickets: 0, failed: 0 });
+                assert.deepEqual(await sweeper.app.locals.sweepStates(), { swept: 1, archived: 0, tickets: 0, failed: 0 });
+                assert.equal(sweeper.store.tables.linkStates.size, 0);
+            } finally {
+                await sweeper.close();
+            }
+        });
+
+        it('deletes link tickets once they are past their TTL', async () => {
+            await bridge.store.tickets.create('old-ticket', { discordId: DISCORD_ID, grant: { refreshToken: 'v1.sealed' } });
+            await bridge.store.tickets.create('new-ticket', { discordId: DISCORD_ID });
+            bridge.store.tables.linkTickets.get('old-ticket').createdAtMs -= 10 * 60 * 1000;
+
+            assert.deepEqual(await bridge.app.locals.sweepStates(), { swept: 0, archived: 0, tickets: 1, failed: 0 });
+            assert.deepEqual([...bridge.store.tables.linkTickets.keys()], ['new-ticket']);
+        });
+
+        it('is available to admins on demand', async () => {
+            const { body } = await bridge.createLinkState('kc-1');
+            bridge.store.tables.linkStates.get(body.state).createdAtMs -= 2 * DAY;
+
+            assert.equal((await post('/admin/link-states/sweep', bridge.signIn('kc-1'))).status, 403);
+            const res = await post('/admin/link-states/sweep', { Authorization: 'Bearer admin-token' });
+            assert.deepEqual(await res.json(), { ok: true, swept: 1, archived: 0, tickets: 0, failed: 0 });
+        });
+    });
+});
+
+describe('archiving sweep', () => {
+    it('moves old states to linkStatesArchive', async () => {
+        const bridge = await startBridge({ config: { archiveSweptStates: true } });
+        try {
+            const { body } = await bridge.createLinkState('kc-1');
+            bridge.store.tables.linkStates.get(body.state).createdAtMs -= 2 * DAY;
+            assert.deepEqual(await bridge.app.locals.sweepStates(), { swept: 1, archived: 1, tickets: 0, failed: 0 });
+            assert.equal(bridge.store.tables.linkStatesArchive.get(body.state).uid, 'kc-1');
+        } finally {
+            await bridge.close();
+        }
+    });
+});
+
+describe('createdAt normalisation', () => {
+    it('accepts Timestamps and the old epoch-millis format alike', () => {
+        assert.equal(toMillis(1_700_000_000_000), 1_700_000_000_000);
+        assert.equal(toMillis({ toMillis: () => 1_700_000_000_000 }), 1_700_000_000_000);
+        assert.equal(toMillis({ _seconds: 1_700_000_000 }), 1_700_000_000_000);
+    });
+
+    it('validates states the same way for /start and /callback', () => {
+        const state = { issuedBy: 'bridge', used: false, createdAtMs: 1000 };
+        assert.equal(stateError(state, 500, 1200), null);
+        assert.equal(stateError(state, 500, 2000), 'State expired');
+        assert.equal(stateError({ ...state, used: true }, 500, 1200), 'State already used');
+        assert.equal(stateError({ used: false }, 500, 1200), 'Unknown state');
+    });
+});
@@ -0,0 +1,154 @@
+'use strict';
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { signWebhook } = require('../lib/webhooks.cjs');
+const { startBridge, DISCORD_ID, OTHER_DISCORD_ID } = require('./helpers.cjs');
+
+const discordUser = { id: DISCORD_ID, username: 'kcfan', avatar: 'abc123' };
+
+// Records every webhook POST; `status` is what it answers with.
+async function startReceiver() {
+    const receiver = { received: [], status: 200 };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.received.push({ headers: req.headers, body });
+            res.writeHead(receiver.status).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    receiver.url = `http://127.0.0.1:${server.address().port}/hooks`;
+    receiver.close = () => new Promise(resolve => server.close(resolve));
+    return receiver;
+}
+
+describe('account webhooks', () => {
+    let receiver;
+    let bridge;
+    let webhooks;
+
+    before(async () => {
+        receiver = await startReceiver();
+        bridge = await startBridge({
+            config: {
+                webhookUrls: [receiver.url],
+                webhookSecret: 'hook-secret',
+                webhookMaxAttempts: 2,
+                webhookRetryBaseMs: 0,
+            },
+        });
+        ({ webhooks } = bridge.app.locals);
+    });
+    after(async () => {
+        await bridge.close();
+        await receiver.close();
+    });
+    beforeEach(() => {
+        for (const table of Object.values(bridge.store.tables)) table.clear();
+        receiver.received.length = 0;
+        receiver.status = 200;
+    });
+
+    async function link(uid) {
+        const { body } = await bridge.createLinkState(uid);
+        await bridge.completeFlow(body.state, discordUser);
+        await webhooks.idle();
+    }
+
+    it('posts a signed account.linked event when a link is saved', async () => {
+        await link('kc-1');
+        assert.equal(receiver.received.length, 1);
+        const [{ headers, body }] = receiver.received;
+        assert.equal(headers['x-kc-event'], 'account.linked');
+        assert.equal(headers['x-kc-signature'], signWebhook('hook-secret', headers['x-kc-timestamp'], body));
+
+        const event = JSON.parse(body);
+        assert.equal(event.type, 'account.linked');
+        assert.deepEqual(event.data, { uid: 'kc-1', discordId: DISCORD_ID, flow: 'web' });
+    });
+
+    it('posts account.unlinked when the bot unlinks', async () => {
+        await bridge.store.links.save('kc-1', DISCORD_ID);
+        await bridge.request('/oauth/discord/unlink/bot', {
+            method: 'POST',
+            headers: { 'X-Bot-Secret': 'bot-secret', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ discordId: DISCORD_ID }),
+        });
+        await webhooks.idle();
+        assert.equal(receiver.received[0].headers['x-kc-event'], 'account.unlinked');
+        assert.equal(JSON.parse(receiver.received[0].body).data.flow, 'bot');
+    });
+
+    it('stays quiet when the bot only removes an orphaned entry', async () => {
+        await bridge.store.links.save('kc-1', OTHER_DISCORD_ID);
+        bridge.store.tables.discordLinks.set(DISCORD_ID, { uid: 'kc-1', linkedAt: 1 });
+        const res = await bridge.request('/oauth/discord/unlink/bot', {
+            method: 'POST',
+            headers: { 'X-Bot-Secret': 'bot-secret', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ discordId: DISCORD_ID }),
+        });
+        assert.equal(res.status, 200);
+        await webhooks.idle();
+        assert.deepEqual(receiver.received, []);
+    });
+
+    it('posts account.relinked when a conflict is confirmed', async () => {
+        await bridge.store.links.save('kc-old', DISCORD_ID);
+        await bridge.store.links.save('kc-1', OTHER_DISCORD_ID);
+        const { body } = await bridge.createLinkState('kc-1');
+        const res = await bridge.completeFlow(body.state, discordUser);
+        const conflictUrl = new URL(res.headers.get('location'), bridge.baseUrl);
+        await bridge.request('/oauth/discord/conflict/confirm', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: conflictUrl.searchParams.toString(),
+        });
+        await webhooks.idle();
+
+        assert.deepEqual(receiver.received.map(({ headers }) => headers['x-kc-event']), ['account.relinked']);
+        assert.deepEqual(JSON.parse(receiver.received[0].body).data, {
+            uid: 'kc-1',
+            discordId: DISCORD_ID,
+            previousUid: 'kc-old',
+            previousDiscordId: OTHER_DISCORD_ID,
+            flow: 'web',
+        });
+    });
+
+    it('queues failed deliveries and retries them with the same delivery ID', async t => {
+        t.mock.method(console, 'warn', () => {});
+        receiver.status = 503;
+        await link('kc-1');
+        const [queued] = bridge.store.tables.webhookDeliveries.values();
+        assert.equal(queued.status, 'pending');
+        assert.equal(queued.attempts, 1);
+
+        receiver.status = 200;
+        assert.deepEqual(await webhooks.retryDue(), { delivered: 1, pending: 0, dead: 0 });
+        assert.equal(receiver.received.at(-1).headers['x-kc-delivery'], queued.id);
+        assert.equal(bridge.store.tables.webhookDeliveries.size, 0);
+    });
+
+    it('gives up after the last attempt until an admin replays it', async t => {
+        t.mock.method(console, 'warn', () => {});
+        receiver.status = 500;
+        await link('kc-1');
+        assert.deepEqual(await webhooks.retryDue(), { delivered: 0, pending: 0, dead: 1 });
+        assert.deepEqual(await webhooks.retryDue(), { delivered: 0, pending: 0, dead: 0 });
+
+        const replay = headers => bridge.request('/admin/webhooks/replay', {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: '{}',
+        });
+        assert.equal((await replay(bridge.signIn('kc-1'))).status, 403);
+
+        receiver.status = 200;
+        bridge.store.idTokens.set('admin-token', { uid: 'kc-admin', admin: true });
+        const res = await replay({ Authorization: 'Bearer admin-token' });
+        assert.deepEqual(await res.json(), { ok: true, delivered: 1, pending: 0, dead: 0, missing: 0 });
+        assert.equal(bridge.store.tables.webhookDeliveries.size, 0);
+    });
+});